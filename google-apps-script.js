@@ -10,51 +10,304 @@
  *    - 執行身分：「我」
  *    - 誰可以存取：「所有人」
  * 5. 按「部署」，複製產生的網址
- * 6. 把網址貼到翻譯 App 的設定裡
+ * 6. 在 App 的「資料收集設定」找到本裝置ID（dev_...），在編輯器執行
+ *    addDevice('dev_xxx', 'member')（主管手機用 'admin'），從執行紀錄複製上傳金鑰
+ * 7. 把網址和該裝置的上傳金鑰貼到翻譯 App 的設定裡
+ *
+ * 安全性：
+ * 網址雖然對「所有人」開放，但每個請求都必須用上傳金鑰簽章（HMAC-SHA256），
+ * 未簽章、簽章錯誤或時間相差超過 5 分鐘的請求都會被拒絕。
+ * 每台裝置有自己的金鑰，只能以自己的裝置ID簽章；手機遺失或員工離職時，
+ * 執行 revokeDevice('dev_xxx') 刪除它的金鑰，該手機就無法再上傳或查詢。
+ *
+ * 角色：
+ * - member：上傳紀錄，只能查詢（還原）自己裝置的紀錄
+ * - admin：上傳紀錄，可查詢所有裝置的紀錄
+ *
+ * 舊版共用金鑰（setupSecret）仍可使用，視同 admin，但所有手機共用同一把金鑰，
+ * 被停用的手機只要換一個裝置ID就能繼續簽章——停用共用金鑰的手機必須執行
+ * setupSecret 換新金鑰並更新其他手機。全部改用裝置金鑰後，執行
+ * disableSharedSecret 關閉共用金鑰。
+ *
+ * App 離線時會把紀錄排隊、恢復連線後整批重送，每筆紀錄帶有唯一的「紀錄ID」，
+ * 重複送達的紀錄會被略過，不會在表格中出現兩次。
+ * 更新程式碼後記得「管理部署作業」→ 編輯 → 選「新版本」重新部署。
+ *
+ * 查詢（GET ?q=簽章信封）：App 的「從 Sheet 還原」用，可依裝置ID、日期範圍、
+ * 語言方向篩選，由新到舊分頁回傳。
  */
 
+var HEADERS = ['時間', '角色', '語言方向', '原文', '譯文', '類型', '備註', '裝置ID', '紀錄ID', '時間戳記'];
+var ID_COLUMN = 9;
+var MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+var DEFAULT_PAGE_SIZE = 100;
+var MAX_PAGE_SIZE = 500;
+
+var DIRECTIONS = {
+  'zh-TW→th-TH': '中文→泰文',
+  'th-TH→zh-TW': '泰文→中文',
+};
+
+/**
+ * 接收翻譯紀錄：可以是單筆物件，或一次上傳多筆的陣列
+ * 回傳每筆的處理結果：ok（已寫入）、duplicate（紀錄ID已存在，略過）、error
+ */
 function doPost(e) {
+  var lock = LockService.getScriptLock();
   try {
+    // 避免兩個重送請求同時檢查同一個紀錄ID
+    lock.waitLock(10000);
+
     var sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
+    ensureHeader(sheet);
 
-    // 第一次使用時自動建立標題列
-    if (sheet.getLastRow() === 0) {
-      sheet.appendRow([
-        '時間',
-        '角色',
-        '語言方向',
-        '原文',
-        '譯文',
-        '類型',
-        '備註',
-        '裝置ID',
-      ]);
-      // 凍結標題列
-      sheet.setFrozenRows(1);
-      // 設定標題樣式
-      var headerRange = sheet.getRange(1, 1, 1, 8);
-      headerRange.setFontWeight('bold');
-      headerRange.setBackground('#4285f4');
-      headerRange.setFontColor('#ffffff');
+    var envelope = JSON.parse(e.postData.contents);
+    var auth = verifyEnvelope(envelope);
+    if (auth.denied) {
+      return ContentService.createTextOutput(
+        JSON.stringify({ status: 'unauthorized', message: auth.denied })
+      ).setMimeType(ContentService.MimeType.JSON);
     }
 
-    var data = JSON.parse(e.postData.contents);
+    var data = JSON.parse(envelope.body);
+    var batch = Array.isArray(data);
+    var records = batch ? data : [data];
+
+    var seen = existingRecordIds(sheet);
+    var rows = [];
+    var results = records.map(function (record) {
+      if (!record || typeof record !== 'object') {
+        return { id: '', status: 'error', message: '格式錯誤' };
+      }
+      if (record.id && seen[record.id]) {
+        return { id: record.id, status: 'duplicate' };
+      }
+      if (record.id) seen[record.id] = true; // 同一批內的重複也略過
+      record.deviceId = envelope.deviceId; // 以簽章過的裝置ID為準
+      rows.push(toRow(record));
+      return { id: record.id || '', status: 'ok' };
+    });
+
+    if (rows.length > 0) {
+      sheet
+        .getRange(sheet.getLastRow() + 1, 1, rows.length, HEADERS.length)
+        .setValues(rows);
+    }
+
+    // 單筆請求維持原本的回應格式
+    var body = batch ? { status: 'ok', results: results } : results[0];
+    return ContentService.createTextOutput(JSON.stringify(body)).setMimeType(
+      ContentService.MimeType.JSON
+    );
+  } catch (err) {
+    return ContentService.createTextOutput(
+      JSON.stringify({ status: 'error', message: err.message })
+    ).setMimeType(ContentService.MimeType.JSON);
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * 驗證簽章信封 { deviceId, ts, body, sig }
+ * 已登記的裝置用自己的金鑰驗證；未登記的裝置才試共用金鑰
+ * @return {{ denied: string, role: string }} denied 為拒絕原因，通過時為空字串
+ */
+function verifyEnvelope(envelope) {
+  if (!envelope || !envelope.sig || !envelope.deviceId || typeof envelope.body !== 'string') {
+    return { denied: '請求未簽章', role: '' };
+  }
+  if (Math.abs(Date.now() - Number(envelope.ts)) > MAX_CLOCK_SKEW_MS) {
+    return { denied: '請求已過期，請檢查手機時間', role: '' };
+  }
+
+  var device = deviceKeys()[envelope.deviceId];
+  var secret = device ? device.key : PropertiesService.getScriptProperties().getProperty('SHARED_SECRET');
+  if (!secret) return { denied: '此裝置未登記，請執行 addDevice 產生上傳金鑰', role: '' };
+
+  var expected = hmacHex(envelope.ts + '.' + envelope.deviceId + '.' + envelope.body, secret);
+  if (!safeEqual(expected, String(envelope.sig))) return { denied: '簽章錯誤，請確認上傳金鑰', role: '' };
+  if (revokedDevices().indexOf(envelope.deviceId) !== -1) return { denied: '此裝置已被停用', role: '' };
+  return { denied: '', role: device ? device.role : 'admin' };
+}
+
+function hmacHex(message, secret) {
+  var bytes = Utilities.computeHmacSha256Signature(message, secret, Utilities.Charset.UTF_8);
+  return bytes
+    .map(function (b) {
+      return ('0' + (b & 0xff).toString(16)).slice(-2);
+    })
+    .join('');
+}
+
+// 固定時間比較，避免從回應時間推測簽章
+function safeEqual(a, b) {
+  if (a.length !== b.length) return false;
+  var diff = 0;
+  for (var i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+function revokedDevices() {
+  var raw = PropertiesService.getScriptProperties().getProperty('REVOKED_DEVICES');
+  return raw ? JSON.parse(raw) : [];
+}
+
+// 已登記的裝置：{ 裝置ID: { key, role } }
+function deviceKeys() {
+  var raw = PropertiesService.getScriptProperties().getProperty('DEVICE_KEYS');
+  return raw ? JSON.parse(raw) : {};
+}
+
+function saveDeviceKeys(keys) {
+  PropertiesService.getScriptProperties().setProperty('DEVICE_KEYS', JSON.stringify(keys));
+}
 
-    sheet.appendRow([
-      new Date(data.timestamp).toLocaleString('zh-TW', {
-        timeZone: 'Asia/Taipei',
+function newSecret() {
+  return Utilities.getUuid().replace(/-/g, '') + Utilities.getUuid().replace(/-/g, '');
+}
+
+// 在編輯器執行：產生新的共用金鑰（舊金鑰立即失效）
+function setupSecret() {
+  var secret = newSecret();
+  PropertiesService.getScriptProperties().setProperty('SHARED_SECRET', secret);
+  Logger.log('上傳金鑰：' + secret);
+}
+
+// 在編輯器執行：所有手機都改用裝置金鑰後，關閉共用金鑰
+function disableSharedSecret() {
+  PropertiesService.getScriptProperties().deleteProperty('SHARED_SECRET');
+  Logger.log('已關閉共用金鑰，只接受已登記的裝置');
+}
+
+// 在編輯器執行：登記裝置並產生它專用的上傳金鑰，例如 addDevice('dev_lx2k9a3f8c', 'member')
+// 對已登記的裝置再執行一次會換新金鑰（或變更角色）
+function addDevice(deviceId, role) {
+  if (!deviceId) throw new Error('請提供裝置ID');
+  role = role || 'member';
+  if (role !== 'member' && role !== 'admin') throw new Error('角色只能是 member 或 admin');
+  var keys = deviceKeys();
+  keys[deviceId] = { key: newSecret(), role: role };
+  saveDeviceKeys(keys);
+  restoreDevice(deviceId);
+  Logger.log(deviceId + '（' + role + '）的上傳金鑰：' + keys[deviceId].key);
+}
+
+// 在編輯器執行：停用裝置，例如 revokeDevice('dev_lx2k9a3f8c')
+// 已登記的裝置會刪除金鑰；用共用金鑰的裝置只會被列入停用名單（見檔頭說明）
+function revokeDevice(deviceId) {
+  var keys = deviceKeys();
+  if (keys[deviceId]) {
+    delete keys[deviceId];
+    saveDeviceKeys(keys);
+  }
+  var list = revokedDevices();
+  if (list.indexOf(deviceId) === -1) list.push(deviceId);
+  PropertiesService.getScriptProperties().setProperty('REVOKED_DEVICES', JSON.stringify(list));
+  Logger.log('已停用：' + list.join(', '));
+}
+
+// 在編輯器執行：把裝置移出停用名單（已登記的裝置停用時金鑰已刪除，要再執行 addDevice）
+function restoreDevice(deviceId) {
+  var list = revokedDevices().filter(function (id) {
+    return id !== deviceId;
+  });
+  PropertiesService.getScriptProperties().setProperty('REVOKED_DEVICES', JSON.stringify(list));
+  Logger.log('已停用：' + (list.join(', ') || '（無）'));
+}
+
+function toRow(data) {
+  return [
+    new Date(data.timestamp).toLocaleString('zh-TW', {
+      timeZone: 'Asia/Taipei',
+    }),
+    data.role || '',
+    data.direction || '',
+    data.original || '',
+    data.translated || '',
+    data.type || 'translate',
+    data.note || '',
+    data.deviceId || '',
+    data.id || '',
+    data.timestamp || '',
+  ];
+}
+
+// 第一次使用時自動建立標題列；舊表格補上新增的欄位
+function ensureHeader(sheet) {
+  if (sheet.getLastRow() === 0) {
+    sheet.appendRow(HEADERS);
+    // 凍結標題列
+    sheet.setFrozenRows(1);
+  } else {
+    var current = sheet.getRange(1, 1, 1, HEADERS.length).getValues()[0];
+    var missing = HEADERS.some(function (h, i) {
+      return current[i] === '';
+    });
+    if (!missing) return;
+    sheet.getRange(1, 1, 1, HEADERS.length).setValues([
+      HEADERS.map(function (h, i) {
+        return current[i] || h;
       }),
-      data.role || '',
-      data.direction || '',
-      data.original || '',
-      data.translated || '',
-      data.type || 'translate',
-      data.note || '',
-      data.deviceId || '',
     ]);
+  }
+  // 設定標題樣式
+  var headerRange = sheet.getRange(1, 1, 1, HEADERS.length);
+  headerRange.setFontWeight('bold');
+  headerRange.setBackground('#4285f4');
+  headerRange.setFontColor('#ffffff');
+}
 
+// 已寫入過的紀錄ID（一次讀整欄，批次上傳時不必逐筆搜尋）
+function existingRecordIds(sheet) {
+  var ids = {};
+  var lastRow = sheet.getLastRow();
+  if (lastRow < 2) return ids;
+  sheet
+    .getRange(2, ID_COLUMN, lastRow - 1, 1)
+    .getValues()
+    .forEach(function (row) {
+      if (row[0]) ids[row[0]] = true;
+    });
+  return ids;
+}
+
+/**
+ * GET 端點
+ * - 沒有參數：測試部署是否成功
+ * - ?q=簽章信封：查詢紀錄，信封 body 為 JSON
+ *   { deviceId?, from?, to?, direction?, cursor?, limit? }
+ *   from/to 為毫秒時間戳記，direction 為 'zh-TW→th-TH' 或 'th-TH→zh-TW'，
+ *   cursor 為上一頁回傳的 nextCursor
+ */
+function doGet(e) {
+  if (!e || !e.parameter || !e.parameter.q) {
+    return ContentService.createTextOutput(
+      JSON.stringify({
+        status: 'ok',
+        message: '中泰翻譯資料收集 API 運作中',
+      })
+    ).setMimeType(ContentService.MimeType.JSON);
+  }
+
+  try {
+    var envelope = JSON.parse(e.parameter.q);
+    var auth = verifyEnvelope(envelope);
+    if (auth.denied) {
+      return ContentService.createTextOutput(
+        JSON.stringify({ status: 'unauthorized', message: auth.denied })
+      ).setMimeType(ContentService.MimeType.JSON);
+    }
+
+    var query = JSON.parse(envelope.body || '{}');
+    // member 只能查自己裝置的紀錄
+    if (auth.role !== 'admin') query.deviceId = envelope.deviceId;
+    var sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
+    var result = queryRecords(sheet, query);
     return ContentService.createTextOutput(
-      JSON.stringify({ status: 'ok' })
+      JSON.stringify({ status: 'ok', records: result.records, nextCursor: result.nextCursor })
     ).setMimeType(ContentService.MimeType.JSON);
   } catch (err) {
     return ContentService.createTextOutput(
@@ -63,12 +316,55 @@ function doPost(e) {
   }
 }
 
-// GET 端點 - 用來測試部署是否成功
-function doGet() {
-  return ContentService.createTextOutput(
-    JSON.stringify({
-      status: 'ok',
-      message: '中泰翻譯資料收集 API 運作中',
-    })
-  ).setMimeType(ContentService.MimeType.JSON);
+/**
+ * 由新到舊掃描資料列，回傳符合條件的一頁
+ * cursor 是下一次要從哪一列（往上）繼續掃描
+ */
+function queryRecords(sheet, query) {
+  var limit = Math.min(Number(query.limit) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+  var lastRow = sheet.getLastRow();
+  var start = Math.min(Number(query.cursor) || lastRow, lastRow);
+  if (start < 2) return { records: [], nextCursor: null };
+
+  var values = sheet.getRange(2, 1, start - 1, HEADERS.length).getValues();
+  var direction = DIRECTIONS[query.direction] || query.direction || '';
+  var from = Number(query.from) || 0;
+  var to = Number(query.to) || Infinity;
+
+  var records = [];
+  for (var i = values.length - 1; i >= 0; i--) {
+    var row = values[i];
+    var timestamp = Number(row[9]) || parseSheetTime(row[0]);
+    if (query.deviceId && row[7] !== query.deviceId) continue;
+    if (direction && row[2] !== direction) continue;
+    if (timestamp < from || timestamp > to) continue;
+
+    records.push({
+      id: row[8] || '',
+      timestamp: timestamp,
+      role: row[1],
+      direction: row[2],
+      original: row[3],
+      translated: row[4],
+      type: row[5],
+      note: row[6],
+      deviceId: row[7],
+    });
+    if (records.length >= limit) {
+      // 資料列號 = 陣列索引 + 2，下一頁從上一列開始
+      return { records: records, nextCursor: i + 1 >= 2 ? i + 1 : null };
+    }
+  }
+  return { records: records, nextCursor: null };
+}
+
+// 舊資料沒有時間戳記欄：解析「2025/1/5 下午3:04:05」（台北時間）
+function parseSheetTime(value) {
+  if (value instanceof Date) return value.getTime();
+  var m = String(value).match(/(\d{4})\/(\d{1,2})\/(\d{1,2})\s*(上午|下午)?\s*(\d{1,2}):(\d{2}):(\d{2})/);
+  if (!m) return 0;
+  var hour = Number(m[5]) % 12;
+  if (m[4] === '下午') hour += 12;
+  if (!m[4]) hour = Number(m[5]);
+  return Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3]), hour - 8, Number(m[6]), Number(m[7]));
 }
@@ -0,0 +1,119 @@
+/**
+ * Service worker extension - flushes the Google Sheets outbox (see src/outbox.js)
+ * when the browser fires a background sync, even if the app is closed.
+ * Loaded into the generated service worker via workbox `importScripts`.
+ */
+
+/* eslint-env serviceworker */
+
+const DB_NAME = 'zh-th-translator';
+const STORE = 'outbox';
+const SETTINGS_STORE = 'settings';
+const TOKEN_SETTING = 'sheet_token';
+const BASE_DELAY_MS = 5000;
+const MAX_DELAY_MS = 10 * 60 * 1000;
+const MAX_BATCH = 50;
+
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function openDb() {
+    // No version: the page owns the schema, the worker only reads what exists
+    return promisify(indexedDB.open(DB_NAME));
+}
+
+/**
+ * Signed envelope, same scheme as src/logger.js:
+ * sig = HMAC-SHA256(token, `${ts}.${deviceId}.${body}`)
+ */
+async function sign(token, deviceId, body) {
+    const ts = Date.now();
+    const enc = new TextEncoder();
+    const key = await crypto.subtle.importKey('raw', enc.encode(token), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+    const mac = await crypto.subtle.sign('HMAC', key, enc.encode(`${ts}.${deviceId}.${body}`));
+    const sig = [...new Uint8Array(mac)].map((b) => b.toString(16).padStart(2, '0')).join('');
+    return { deviceId, ts, body, sig };
+}
+
+/**
+ * POST one batch; returns the records the backend did not accept
+ */
+async function sendBatch(url, token, records) {
+    if (!token) throw new Error('no signing token');
+    const envelope = await sign(token, records[0].payload.deviceId, JSON.stringify(records.map((r) => r.payload)));
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'text/plain' },
+        body: JSON.stringify(envelope),
+    });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+    let data = null;
+    try {
+        data = await response.json();
+    } catch { /* not JSON: handled below */ }
+    if (data?.status === 'unauthorized' || data?.status === 'error') throw new Error(data.message);
+    // No per-record results (older single-record script, or not JSON): nothing is known to be saved
+    const results = data?.results;
+    if (!Array.isArray(results)) throw new Error(data?.status === 'ok' ? 'outdated Apps Script' : 'unexpected response');
+
+    const statusById = new Map(results.map((r) => [r.id, r.status]));
+    return records.filter((r) => !['ok', 'duplicate'].includes(statusById.get(r.id)));
+}
+
+/**
+ * The current signing token, copied from the page by src/outbox.js
+ */
+async function currentToken(db) {
+    if (!db.objectStoreNames.contains(SETTINGS_STORE)) return '';
+    const setting = await promisify(db.transaction(SETTINGS_STORE, 'readonly').objectStore(SETTINGS_STORE).get(TOKEN_SETTING));
+    return setting?.value || '';
+}
+
+async function flushOutbox() {
+    const db = await openDb();
+    if (!db.objectStoreNames.contains(STORE)) {
+        db.close();
+        return;
+    }
+
+    const token = await currentToken(db);
+    const pending = await promisify(db.transaction(STORE, 'readonly').objectStore(STORE).getAll());
+    const groups = new Map();
+    for (const record of pending) {
+        if (!groups.has(record.url)) groups.set(record.url, []);
+        groups.get(record.url).push(record);
+    }
+
+    let failures = 0;
+    for (const [url, records] of groups) {
+        for (let i = 0; i < records.length; i += MAX_BATCH) {
+            const batch = records.slice(i, i + MAX_BATCH);
+            const failed = await sendBatch(url, token, batch).catch(() => batch);
+            const store = db.transaction(STORE, 'readwrite').objectStore(STORE);
+            batch.forEach((record) => {
+                if (!failed.includes(record)) store.delete(record.id);
+            });
+            failed.forEach((record) => {
+                const attempts = record.attempts + 1;
+                const delay = Math.min(BASE_DELAY_MS * 2 ** (attempts - 1), MAX_DELAY_MS);
+                store.put({ ...record, attempts, nextAttemptAt: Date.now() + delay });
+            });
+            failures += failed.length;
+        }
+    }
+
+    db.close();
+    // Throwing makes the browser retry the sync later
+    if (failures > 0) throw new Error(`${failures} outbox record(s) not delivered`);
+}
+
+self.addEventListener('sync', (event) => {
+    if (event.tag === 'sheet-outbox') {
+        event.waitUntil(flushOutbox());
+    }
+});
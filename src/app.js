@@ -4,15 +4,33 @@
 
 import {
     isSpeechSupported,
-    startListening,
+    listen,
     stopListening,
+    abortListening,
+    listEngines,
+    getEngineId,
+    setEngineId,
+    getEngine,
     preloadVoices,
+    speak,
+    setNoVoiceHandler,
 } from './speech.js';
 import {
-    getApiKey,
-    analyzeAndTranslate,
-    translateClarified,
-} from './gemini.js';
+    listProviders,
+    getProviderId,
+    setProviderId,
+    getProvider,
+    canTranslate,
+    hasLocalAnswer,
+    needsOfflineFallback,
+    translate,
+    clarify,
+    forgetTranslation,
+} from './provider.js';
+import { getModel, setModel } from './gemini.js';
+import { getOpenAISettings, setOpenAISettings } from './openai.js';
+import { getWhisperSettings, setWhisperSettings } from './transcribe.js';
+import { getFakeScript, setFakeScript } from './mock.js';
 import {
     showScreen,
     setModeLabel,
@@ -24,38 +42,87 @@ import {
     hideLoading,
     setRecordStatus,
     showToast,
+    downloadFile,
+    addTopicDivider,
+    showVerification,
+    addInterimBubble,
+    setInterimText,
+    addReviewBubble,
+    showLargeText,
+    autoPlayBubble,
 } from './ui.js';
-import { recordRequest, getQuota, canRequest, resetQuota } from './quota.js';
-import { saveEntry, getHistory, clearHistory, formatTime } from './history.js';
-import { logTranslation, getSheetUrl, setSheetUrl } from './logger.js';
+import { getQuota, resetQuota } from './quota.js';
+import { saveEntry, updateEntry, queryHistory, historyMatcher, previewImport, importEntries, getEntry, getSession, newSessionId, clearHistory, mergeEntries, getRetention, setRetention, formatTime } from './history.js';
+import { startReplay, stopReplay, isReplaying, togglePlayback } from './replay.js';
+import { highlight } from './search.js';
+import { EXPORT_FORMATS, exportEntries, printEntries, parseHistoryImport } from './exporter.js';
+import {
+    PHRASE_CATEGORIES,
+    ROLE_LANGS,
+    getPhrases,
+    addPhrase,
+    updatePhrase,
+    deletePhrase,
+    movePhrase,
+    resetPhrases,
+    isFavorite,
+    favoriteChecker,
+    toggleFavorite,
+    rememberTranslation,
+} from './favorites.js';
+import { logTranslation, getSheetUrl, setSheetUrl, getSheetToken, setSheetToken, getUploadError, flushOutbox, getPendingCount, getDeviceId, fetchSheetRecords } from './logger.js';
+import {
+    CATEGORIES,
+    getGlossary,
+    addTerm,
+    updateTerm,
+    deleteTerm,
+    resetGlossary,
+    exportGlossary,
+    importGlossary,
+    checkTerms,
+    findTermViolations,
+} from './glossary.js';
+import { createContext } from './context.js';
+import { initConversationMode } from './conversation.js';
+import { detectLang, otherLang, directionLabel } from './lang.js';
+import { findPhrase } from './phrasebook.js';
+import { getCacheSize, clearCache } from './cache.js';
+import { saveCorrection, removeCorrection } from './corrections.js';
+import { isVerifyEnabled, setVerifyEnabled, verifyTranslation } from './verify.js';
+import { whenPlaybackDone, clearQueue, isAutoPlayEnabled, setAutoPlayEnabled, getRepeatCount, setRepeatCount } from './playback.js';
+import {
+    SAMPLE_TEXT,
+    listVoices,
+    isVoiceMissing,
+    resolveVoice,
+    getVoiceSettings,
+    setVoiceSettings,
+    pinVoice,
+    getNoVoiceFallback,
+    setNoVoiceFallback,
+} from './voices.js';
 
 let currentRole = null; // 'supervisor' | 'worker'
+let autoDirection = localStorage.getItem('auto_direction') === '1'; // detect source language per turn
 let currentGender = localStorage.getItem('voice_gender') || 'male'; // 'male' | 'female'
 let fromLang = 'zh-TW';
 let toLang = 'th-TH';
 let isRecording = false;
+let reviewBeforeSend = localStorage.getItem('review_before_send') === '1'; // edit the transcript before translating
+const REVIEW_ALTERNATIVES = 3;
 let quotaTimer = null;
+let sessionId = null; // current translate-screen session, from role selection until back
 
 const $ = (sel) => document.querySelector(sel);
 
-// Common factory phrases per role
-const QUICK_PHRASES = {
-    supervisor: [
-        '戴安全帽', '小心燙', '停機', '開機',
-        '快一點', '休息', '加班', '注意安全',
-        '這個不對', '再做一次', '很好', '下班',
-    ],
-    worker: [
-        'เข้าใจแล้ว', 'ไม่เข้าใจ', 'ช่วยด้วย', 'เสร็จแล้ว',
-        'มีปัญหา', 'ขอพัก', 'เครื่องเสีย', 'ต้องการอะไหล่',
-        'รับทราบ', 'รอสักครู่', 'ทำไม่ได้', 'ขอบคุณ',
-    ],
-};
+// Recent turns of the current chat, sent to Gemini as context
+const conversation = createContext();
 
 export function initApp() {
     // Check speech support
     if (!isSpeechSupported()) {
-        showToast('此瀏覽器不支援語音辨識，請使用 Chrome');
+        showToast('此瀏覽器不支援目前的語音辨識引擎，請使用 Chrome 或到「翻譯引擎」設定更換');
     }
 
     preloadVoices();
@@ -101,6 +168,9 @@ export function initApp() {
         });
     });
 
+    // ===== FACE-TO-FACE CONVERSATION =====
+    initConversationMode();
+
     // ===== HISTORY =====
     $('#btn-history').addEventListener('click', () => {
         renderHistory();
@@ -111,72 +181,418 @@ export function initApp() {
         showScreen('role-screen');
     });
 
-    $('#btn-export-history').addEventListener('click', () => {
-        const entries = getHistory();
+    // Import: parse and preview first, write only after confirmation
+    const historyFileInput = $('#history-file-input');
+    let pendingImport = [];
+    $('#btn-import-history').addEventListener('click', () => {
+        historyFileInput.click();
+    });
+
+    historyFileInput.addEventListener('change', async () => {
+        const file = historyFileInput.files[0];
+        historyFileInput.value = '';
+        if (!file) return;
+        const format = file.name.toLowerCase().endsWith('.json') ? 'json' : 'csv';
+        try {
+            const { entries, invalid } = parseHistoryImport(await file.text(), format);
+            const { fresh, duplicates } = await previewImport(entries);
+            pendingImport = fresh;
+            const oldest = entries.reduce((min, e) => Math.min(min, e.timestamp), Infinity);
+            const newest = entries.reduce((max, e) => Math.max(max, e.timestamp), 0);
+            $('#import-file-name').textContent = file.name;
+            $('#import-count-valid').textContent = entries.length;
+            $('#import-count-duplicate').textContent = duplicates;
+            $('#import-count-invalid').textContent = invalid;
+            $('#import-count-new').textContent = fresh.length;
+            $('#import-range').textContent = `${formatTime(oldest)} ～ ${formatTime(newest)}`;
+            $('#btn-import-confirm').disabled = fresh.length === 0;
+            $('#import-dialog').style.display = 'flex';
+        } catch (err) {
+            console.error('History import error:', err);
+            showToast(err instanceof SyntaxError ? '匯入失敗，檔案格式不正確' : err.message);
+        }
+    });
+
+    $('#btn-import-cancel').addEventListener('click', () => {
+        pendingImport = [];
+        $('#import-dialog').style.display = 'none';
+    });
+
+    $('#btn-import-confirm').addEventListener('click', async () => {
+        try {
+            const count = await importEntries(pendingImport);
+            showToast(`已匯入 ${count} 筆紀錄`);
+            renderHistory();
+        } catch (err) {
+            console.error('History import error:', err);
+            showToast(`匯入失敗：${err.message}`);
+        }
+        pendingImport = [];
+        $('#import-dialog').style.display = 'none';
+    });
+
+    // Exports use the current search and filters
+    let exportEntriesList = [];
+    $('#btn-export-history').addEventListener('click', async () => {
+        const filters = readHistoryFilters();
+        const { entries } = await queryHistory({ ...filters, limit: Infinity });
         if (entries.length === 0) {
             showToast('沒有紀錄可匯出');
             return;
         }
-        const BOM = '\uFEFF';
-        const header = '時間,角色,原文,譯文\n';
-        const rows = entries.map((e) => {
-            const time = formatTime(e.timestamp);
-            const role = e.role === 'supervisor' ? '主管' : '員工';
-            const esc = (s) => `"${(s || '').replace(/"/g, '""')}"`;
-            return `${esc(time)},${esc(role)},${esc(e.original)},${esc(e.translated)}`;
-        }).join('\n');
-        const blob = new Blob([BOM + header + rows], { type: 'text/csv;charset=utf-8' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `翻譯紀錄_${new Date().toISOString().slice(0, 10)}.csv`;
-        a.click();
-        URL.revokeObjectURL(url);
-        showToast('已匯出 CSV');
-    });
-
-    $('#btn-clear-history').addEventListener('click', () => {
+        exportEntriesList = entries;
+        $('#export-summary').textContent = hasHistoryFilters(filters)
+            ? `符合目前搜尋 / 篩選條件的 ${entries.length} 筆紀錄`
+            : `全部 ${entries.length} 筆紀錄`;
+        $('#export-dialog').style.display = 'flex';
+    });
+
+    $('#btn-export-cancel').addEventListener('click', () => {
+        $('#export-dialog').style.display = 'none';
+    });
+
+    $('#export-dialog').querySelector('.export-options').addEventListener('click', (e) => {
+        const btn = e.target.closest('button[data-format]');
+        if (!btn) return;
+        const format = btn.dataset.format;
+        // Oldest first reads naturally in files and printouts
+        const entries = [...exportEntriesList].reverse();
+        if (format === 'print') {
+            printEntries(entries);
+        } else {
+            const file = exportEntries(entries, format);
+            downloadFile(file.content, file.filename, file.type);
+            showToast(`已匯出 ${EXPORT_FORMATS[format].label}`);
+        }
+        $('#export-dialog').style.display = 'none';
+    });
+
+    $('#btn-clear-history').addEventListener('click', async () => {
         if (confirm('確定要清除所有翻譯紀錄？\nล้างประวัติทั้งหมด?')) {
-            clearHistory();
+            await clearHistory();
             renderHistory();
             showToast('紀錄已清除');
         }
     });
 
-    $('#history-search-input').addEventListener('input', (e) => {
-        renderHistory(e.target.value.trim());
+    let searchTimer = null;
+    $('#history-search-input').addEventListener('input', () => {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(renderHistory, 200);
+    });
+
+    $('#btn-history-filter').addEventListener('click', () => {
+        const panel = $('#history-filters');
+        panel.style.display = panel.style.display === 'none' ? '' : 'none';
+    });
+
+    $('#history-filters').addEventListener('change', () => renderHistory());
+
+    $('#btn-filter-clear').addEventListener('click', () => {
+        $('#history-filters').querySelectorAll('select, input[type="date"]').forEach((el) => { el.value = ''; });
+        $('#filter-starred').checked = false;
+        renderHistory();
+    });
+
+    $('#history-list').addEventListener('click', (e) => {
+        if (e.target.closest('#btn-history-more')) loadHistoryPage();
+        const replayBtn = e.target.closest('.replay-btn');
+        if (replayBtn) startReplay(replayBtn.dataset.session);
+        const starBtn = e.target.closest('.history-star');
+        if (starBtn) toggleHistoryStar(starBtn);
+    });
+
+    // ===== SESSION REPLAY =====
+    $('#btn-replay-play').addEventListener('click', togglePlayback);
+    $('#btn-replay-exit').addEventListener('click', () => {
+        stopReplay();
+        showScreen('history-screen');
+    });
+
+    const retentionSelect = $('#history-retention');
+    const { maxDays, maxEntries } = getRetention();
+    retentionSelect.value = maxDays ? `days:${maxDays}` : maxEntries ? `count:${maxEntries}` : 'all';
+    retentionSelect.addEventListener('change', async () => {
+        const [kind, n] = retentionSelect.value.split(':');
+        if (kind !== 'all' && !confirm('超過保留期限的紀錄會立即刪除，確定嗎？')) {
+            const current = getRetention();
+            retentionSelect.value = current.maxDays ? `days:${current.maxDays}` : current.maxEntries ? `count:${current.maxEntries}` : 'all';
+            return;
+        }
+        await setRetention({
+            maxDays: kind === 'days' ? Number(n) : 0,
+            maxEntries: kind === 'count' ? Number(n) : 0,
+        });
+        renderHistory();
+        showToast('保留設定已更新');
+    });
+
+    // ===== QUICK PHRASES =====
+    const phrasesForm = $('#phrases-form');
+    const phraseText = $('#phrase-text');
+    const phraseTranslated = $('#phrase-translated');
+    const phraseCategory = $('#phrase-category');
+    const phrasesRole = $('#phrases-role');
+    let editingPhraseId = null;
+
+    phraseCategory.innerHTML = Object.entries(PHRASE_CATEGORIES)
+        .map(([key, label]) => `<option value="${key}">${label}</option>`)
+        .join('');
+
+    function resetPhraseForm() {
+        editingPhraseId = null;
+        phrasesForm.reset();
+        $('#btn-phrase-save').textContent = '＋';
+    }
+
+    $('#quick-phrases').addEventListener('click', (e) => {
+        const btn = e.target.closest('.quick-phrase-btn');
+        if (!btn) return;
+        if (btn.classList.contains('quick-phrase-edit')) {
+            phrasesRole.value = btn.dataset.role;
+            resetPhraseForm();
+            renderPhraseList();
+            showScreen('phrases-screen');
+            return;
+        }
+        const phrase = getPhrases(btn.dataset.role).find((p) => p.id === btn.dataset.id);
+        if (phrase) playQuickPhrase(btn.dataset.role, phrase);
+    });
+
+    $('#btn-phrases-back').addEventListener('click', () => {
+        renderQuickPhrases(currentRole);
+        showScreen('translate-screen');
+    });
+
+    phrasesRole.addEventListener('change', () => {
+        resetPhraseForm();
+        renderPhraseList();
+    });
+
+    phrasesForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const text = phraseText.value.trim();
+        if (!text) return;
+        const changes = { text, translated: phraseTranslated.value.trim(), category: phraseCategory.value };
+        if (editingPhraseId) {
+            updatePhrase(phrasesRole.value, editingPhraseId, changes);
+            showToast('常用語已更新');
+        } else {
+            addPhrase(phrasesRole.value, changes);
+            showToast('常用語已新增');
+        }
+        resetPhraseForm();
+        renderPhraseList();
+    });
+
+    $('#phrases-list').addEventListener('click', (e) => {
+        const btn = e.target.closest('button[data-action]');
+        if (!btn) return;
+        const role = phrasesRole.value;
+        const id = btn.dataset.id;
+        if (btn.dataset.action === 'up' || btn.dataset.action === 'down') {
+            movePhrase(role, id, btn.dataset.action === 'up' ? -1 : 1);
+            renderPhraseList();
+        } else if (btn.dataset.action === 'delete') {
+            if (confirm('確定要刪除這個常用語？\nลบวลีนี้?')) {
+                deletePhrase(role, id);
+                if (editingPhraseId === id) resetPhraseForm();
+                renderPhraseList();
+            }
+        } else if (btn.dataset.action === 'edit') {
+            const phrase = getPhrases(role).find((p) => p.id === id);
+            if (!phrase) return;
+            editingPhraseId = id;
+            phraseText.value = phrase.text;
+            phraseTranslated.value = phrase.translated;
+            phraseCategory.value = phrase.category;
+            $('#btn-phrase-save').textContent = '✓';
+            phraseText.focus();
+        }
+    });
+
+    $('#btn-reset-phrases').addEventListener('click', () => {
+        if (confirm('確定要還原預設常用語？自訂與收藏的內容會被清除。')) {
+            resetPhrases(phrasesRole.value);
+            resetPhraseForm();
+            renderPhraseList();
+            showToast('常用語已還原');
+        }
+    });
+
+    // ===== GLOSSARY =====
+    const glossaryForm = $('#glossary-form');
+    const glossaryZh = $('#glossary-zh');
+    const glossaryTh = $('#glossary-th');
+    const glossaryCategory = $('#glossary-category');
+    let editingTermId = null;
+
+    glossaryCategory.innerHTML = Object.entries(CATEGORIES)
+        .map(([key, label]) => `<option value="${key}">${label}</option>`)
+        .join('');
+
+    function resetGlossaryForm() {
+        editingTermId = null;
+        glossaryForm.reset();
+        $('#btn-glossary-save').textContent = '＋';
+    }
+
+    $('#btn-glossary').addEventListener('click', () => {
+        resetGlossaryForm();
+        renderGlossary();
+        showScreen('glossary-screen');
+    });
+
+    $('#btn-glossary-back').addEventListener('click', () => {
+        showScreen('role-screen');
+    });
+
+    glossaryForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const zh = glossaryZh.value.trim();
+        const th = glossaryTh.value.trim();
+        if (!zh || !th) return;
+        if (editingTermId) {
+            updateTerm(editingTermId, { zh, th, category: glossaryCategory.value });
+            showToast('術語已更新');
+        } else {
+            addTerm({ zh, th, category: glossaryCategory.value });
+            showToast('術語已新增');
+        }
+        resetGlossaryForm();
+        renderGlossary();
+    });
+
+    $('#glossary-list').addEventListener('click', (e) => {
+        const btn = e.target.closest('button[data-action]');
+        if (!btn) return;
+        const id = btn.dataset.id;
+        if (btn.dataset.action === 'delete') {
+            if (confirm('確定要刪除這個術語？\nลบคำศัพท์นี้?')) {
+                deleteTerm(id);
+                if (editingTermId === id) resetGlossaryForm();
+                renderGlossary();
+            }
+        } else if (btn.dataset.action === 'edit') {
+            const term = getGlossary().terms.find((t) => t.id === id);
+            if (!term) return;
+            editingTermId = id;
+            glossaryZh.value = term.zh;
+            glossaryTh.value = term.th;
+            glossaryCategory.value = term.category;
+            $('#btn-glossary-save').textContent = '✓';
+            glossaryZh.focus();
+        }
+    });
+
+    const glossaryFileInput = $('#glossary-file-input');
+    $('#btn-import-glossary').addEventListener('click', () => {
+        glossaryFileInput.click();
+    });
+
+    glossaryFileInput.addEventListener('change', async () => {
+        const file = glossaryFileInput.files[0];
+        glossaryFileInput.value = '';
+        if (!file) return;
+        const format = file.name.toLowerCase().endsWith('.json') ? 'json' : 'csv';
+        if (!confirm(`匯入「${file.name}」將取代目前的術語表，確定？`)) return;
+        try {
+            const count = importGlossary(await file.text(), format);
+            renderGlossary();
+            showToast(`已匯入 ${count} 個術語`);
+        } catch (err) {
+            console.error('Glossary import error:', err);
+            showToast(err instanceof SyntaxError ? '匯入失敗，檔案格式不正確' : err.message);
+        }
+    });
+
+    function exportGlossaryAs(format) {
+        const { version } = getGlossary();
+        const date = new Date().toISOString().slice(0, 10);
+        downloadFile(
+            exportGlossary(format),
+            `術語表_v${version}_${date}.${format}`,
+            format === 'json' ? 'application/json' : 'text/csv;charset=utf-8'
+        );
+        showToast(`已匯出 ${format.toUpperCase()}`);
+    }
+
+    $('#btn-export-glossary-csv').addEventListener('click', () => exportGlossaryAs('csv'));
+    $('#btn-export-glossary-json').addEventListener('click', () => exportGlossaryAs('json'));
+
+    $('#btn-reset-glossary').addEventListener('click', () => {
+        if (confirm('確定要還原為預設術語表？自訂的術語將被移除。')) {
+            resetGlossary();
+            resetGlossaryForm();
+            renderGlossary();
+            showToast('術語表已還原');
+        }
     });
 
     // ===== GOOGLE SHEETS SETTING =====
     const sheetDialog = $('#sheet-dialog');
     const sheetUrlInput = $('#sheet-url-input');
+    const sheetTokenInput = $('#sheet-token-input');
     const sheetStatus = $('#sheet-status');
 
     // Show saved URL if exists
     sheetUrlInput.value = getSheetUrl();
+    sheetTokenInput.value = getSheetToken();
+    // Needed to register this phone in the Apps Script (addDevice)
+    $('#sheet-device-id').textContent = getDeviceId();
+
+    async function updatePendingCount() {
+        $('#sheet-pending').textContent = `${await getPendingCount()} 筆`;
+    }
 
     $('#btn-sheet-setting').addEventListener('click', () => {
         sheetUrlInput.value = getSheetUrl();
-        sheetStatus.textContent = getSheetUrl() ? '✅ 已設定，資料收集中' : '';
+        sheetTokenInput.value = getSheetToken();
+        const uploadError = getUploadError();
+        sheetStatus.style.color = uploadError ? '#ef4444' : '';
+        sheetStatus.textContent = uploadError
+            ? `⚠️ 上傳失敗：${uploadError}`
+            : getSheetUrl() ? '✅ 已設定，資料收集中' : '';
+        updatePendingCount();
         sheetDialog.style.display = 'flex';
     });
 
+    $('#btn-sheet-flush').addEventListener('click', async () => {
+        if (!navigator.onLine) {
+            showToast('目前離線，恢復連線後會自動上傳');
+            return;
+        }
+        await flushOutbox();
+        await updatePendingCount();
+        const uploadError = getUploadError();
+        sheetStatus.style.color = uploadError ? '#ef4444' : '';
+        sheetStatus.textContent = uploadError ? `⚠️ 上傳失敗：${uploadError}` : '✅ 已上傳';
+    });
+
     $('#btn-sheet-cancel').addEventListener('click', () => {
         sheetDialog.style.display = 'none';
     });
 
     $('#btn-sheet-save').addEventListener('click', () => {
         const url = sheetUrlInput.value.trim();
+        const token = sheetTokenInput.value.trim();
         if (url && !url.startsWith('https://script.google.com/')) {
             sheetStatus.textContent = '❌ 網址格式不正確，應以 https://script.google.com/ 開頭';
             sheetStatus.style.color = '#ef4444';
             return;
         }
+        if (url && !token) {
+            sheetStatus.textContent = '❌ 請貼上上傳金鑰，未簽章的紀錄會被後端拒絕';
+            sheetStatus.style.color = '#ef4444';
+            return;
+        }
         setSheetUrl(url);
+        setSheetToken(token);
         sheetStatus.style.color = '';
         if (url) {
             sheetStatus.textContent = '✅ 已儲存，翻譯紀錄將自動上傳';
             showToast('資料收集已啟用');
+            flushOutbox();
         } else {
             sheetStatus.textContent = '已關閉資料收集';
             showToast('資料收集已關閉');
@@ -184,6 +600,211 @@ export function initApp() {
         setTimeout(() => { sheetDialog.style.display = 'none'; }, 1500);
     });
 
+    $('#btn-sheet-restore').addEventListener('click', async () => {
+        const btn = $('#btn-sheet-restore');
+        const days = Number($('#restore-range').value);
+        const otherDevice = $('#restore-device-input').value.trim();
+        const query = {
+            deviceId: otherDevice || ($('#restore-scope').value === 'device' ? getDeviceId() : undefined),
+            from: days ? Date.now() - days * 24 * 60 * 60 * 1000 : undefined,
+            direction: $('#restore-direction').value || undefined,
+        };
+
+        btn.disabled = true;
+        sheetStatus.style.color = '';
+        sheetStatus.textContent = '⏳ 下載中...';
+        try {
+            const records = [];
+            let cursor;
+            do {
+                const page = await fetchSheetRecords({ ...query, cursor, limit: 500 });
+                records.push(...page.records);
+                cursor = page.nextCursor;
+                sheetStatus.textContent = `⏳ 下載中...（${records.length} 筆）`;
+            } while (cursor);
+
+            // Feedback rows are ratings of other rows, not translations
+            const added = await mergeEntries(records.filter((r) => r.type !== 'feedback').map(sheetRecordToEntry));
+            sheetStatus.textContent = `✅ 找到 ${records.length} 筆，新增 ${added} 筆到本機紀錄`;
+            showToast(`已還原 ${added} 筆紀錄`);
+        } catch (err) {
+            console.error('Restore from Sheet failed:', err);
+            sheetStatus.style.color = '#ef4444';
+            sheetStatus.textContent = `❌ 還原失敗：${err.message}`;
+        } finally {
+            btn.disabled = false;
+        }
+    });
+
+    // ===== TRANSLATION PROVIDER SETTING =====
+    const providerDialog = $('#provider-dialog');
+    const providerSelect = $('#provider-select');
+    const providerStatus = $('#provider-status');
+
+    providerSelect.innerHTML = listProviders()
+        .map((p) => `<option value="${p.id}">${escHtml(p.label)}</option>`)
+        .join('');
+
+    function showProviderFields() {
+        document.querySelectorAll('.provider-fields').forEach((el) => {
+            el.style.display = el.id === `provider-fields-${providerSelect.value}` ? '' : 'none';
+        });
+    }
+
+    const sttSelect = $('#stt-engine-select');
+    sttSelect.innerHTML = listEngines()
+        .map((e) => `<option value="${e.id}">${escHtml(e.label)}${e.isSupported() ? '' : '（此瀏覽器不支援）'}</option>`)
+        .join('');
+
+    function showSttFields() {
+        document.querySelectorAll('.stt-fields').forEach((el) => {
+            el.style.display = el.id === `stt-fields-${sttSelect.value}` ? '' : 'none';
+        });
+    }
+
+    // Save form values so the health check tests what's on screen
+    function saveProviderForm() {
+        setProviderId(providerSelect.value);
+        setModel($('#gemini-model-input').value.trim());
+        setOpenAISettings({
+            baseUrl: $('#openai-base-url').value,
+            model: $('#openai-model').value,
+            apiKey: $('#openai-api-key').value,
+        });
+        setEngineId(sttSelect.value);
+        setWhisperSettings({
+            baseUrl: $('#whisper-base-url').value,
+            model: $('#whisper-model').value,
+            apiKey: $('#whisper-api-key').value,
+        });
+        setFakeScript({
+            'zh-TW': $('#fake-script-zh').value.split('\n'),
+            'th-TH': $('#fake-script-th').value.split('\n'),
+        });
+    }
+
+    async function updateCacheSize() {
+        $('#cache-size').textContent = `${await getCacheSize()} 筆`;
+    }
+
+    $('#btn-clear-cache').addEventListener('click', async () => {
+        try {
+            await clearCache();
+            showToast('翻譯快取已清除');
+        } catch (err) {
+            console.error('Clear cache error:', err);
+            showToast('清除快取失敗');
+        }
+        updateCacheSize();
+    });
+
+    $('#btn-provider-setting').addEventListener('click', () => {
+        const openai = getOpenAISettings();
+        providerSelect.value = getProviderId();
+        $('#gemini-model-input').value = getModel();
+        $('#openai-base-url').value = openai.baseUrl;
+        $('#openai-model').value = openai.model;
+        $('#openai-api-key').value = openai.apiKey;
+        const whisper = getWhisperSettings();
+        const script = getFakeScript();
+        sttSelect.value = getEngineId();
+        $('#whisper-base-url').value = whisper.baseUrl;
+        $('#whisper-model').value = whisper.model;
+        $('#whisper-api-key').value = whisper.apiKey;
+        $('#fake-script-zh').value = script['zh-TW'].join('\n');
+        $('#fake-script-th').value = script['th-TH'].join('\n');
+        providerStatus.textContent = '';
+        showProviderFields();
+        showSttFields();
+        updateCacheSize();
+        providerDialog.style.display = 'flex';
+    });
+
+    providerSelect.addEventListener('change', () => {
+        providerStatus.textContent = '';
+        showProviderFields();
+    });
+
+    sttSelect.addEventListener('change', showSttFields);
+
+    $('#btn-provider-cancel').addEventListener('click', () => {
+        providerDialog.style.display = 'none';
+    });
+
+    $('#btn-provider-test').addEventListener('click', async () => {
+        saveProviderForm();
+        providerStatus.style.color = '';
+        providerStatus.textContent = '測試中...';
+        const { ok, message } = await getProvider().health();
+        providerStatus.style.color = ok ? '' : '#ef4444';
+        providerStatus.textContent = `${ok ? '✅' : '❌'} ${message}`;
+    });
+
+    $('#btn-provider-save').addEventListener('click', () => {
+        saveProviderForm();
+        showToast(`翻譯引擎：${getProvider().label} · 語音辨識：${getEngine().label}`);
+        providerDialog.style.display = 'none';
+    });
+
+    // ===== VOICE SETTINGS =====
+    // No installed voice for a language: show the translation in large type instead
+    setNoVoiceHandler(showLargeText);
+
+    function updateVoiceWarning() {
+        $('#btn-voice-warning').style.display = isVoiceMissing('th-TH') ? '' : 'none';
+    }
+    if (window.speechSynthesis) {
+        window.speechSynthesis.addEventListener('voiceschanged', () => {
+            updateVoiceWarning();
+            if ($('#voices-screen').classList.contains('active')) renderVoices();
+        });
+    }
+    setTimeout(updateVoiceWarning, 1500);
+
+    const openVoices = () => {
+        renderVoices();
+        showScreen('voices-screen');
+    };
+    $('#btn-voices').addEventListener('click', openVoices);
+    $('#btn-voice-warning').addEventListener('click', openVoices);
+    $('#btn-voices-back').addEventListener('click', () => {
+        window.speechSynthesis?.cancel();
+        updateVoiceWarning();
+        showScreen('role-screen');
+    });
+    $('#btn-voices-refresh').addEventListener('click', renderVoices);
+
+    const voicesList = $('#voices-list');
+    voicesList.addEventListener('input', (e) => {
+        const slider = e.target.closest('.voice-slider');
+        if (!slider) return;
+        const value = Number(slider.value);
+        setVoiceSettings(slider.dataset.lang, { [slider.dataset.field]: value });
+        slider.previousElementSibling.querySelector('b').textContent = value.toFixed(1);
+    });
+
+    voicesList.addEventListener('change', (e) => {
+        if (e.target.id === 'voice-fallback') setNoVoiceFallback(e.target.value);
+        if (e.target.id === 'playback-autoplay') setAutoPlayEnabled(e.target.checked);
+        if (e.target.id === 'playback-repeat') setRepeatCount(Number(e.target.value));
+    });
+
+    voicesList.addEventListener('click', (e) => {
+        const btn = e.target.closest('button');
+        if (!btn) return;
+        const { lang, uri, gender } = btn.dataset;
+        if (btn.classList.contains('voice-play')) {
+            const voice = listVoices(lang).find((v) => v.voiceURI === uri);
+            speak(SAMPLE_TEXT[lang], lang, currentGender, { voice });
+        } else if (btn.classList.contains('voice-pin')) {
+            const pinned = getVoiceSettings(lang).pinned[gender] === uri;
+            pinVoice(lang, gender, pinned ? null : uri);
+            renderVoices();
+        } else if (btn.classList.contains('voice-preview')) {
+            speak(SAMPLE_TEXT[lang], lang, gender);
+        }
+    });
+
     // ===== THEME TOGGLE =====
     const themeBtn = $('#btn-theme');
     function applyTheme(light) {
@@ -210,6 +831,10 @@ export function initApp() {
     window.addEventListener('offline', updateOnlineStatus);
     updateOnlineStatus();
 
+    // Deliver log records queued while offline
+    window.addEventListener('online', () => flushOutbox());
+    flushOutbox();
+
     // ===== QUOTA TOGGLE =====
     $('#btn-toggle-quota').addEventListener('click', () => {
         $('#quota-bar').classList.toggle('collapsed');
@@ -233,8 +858,10 @@ export function initApp() {
                 fromLang = 'th-TH';
                 toLang = 'zh-TW';
             }
-            setModeLabel(currentRole);
+            setModeLabel(currentRole, autoDirection);
             clearChat();
+            conversation.reset();
+            sessionId = newSessionId();
             renderQuickPhrases(currentRole);
             showScreen('translate-screen');
             updateRecordStatus();
@@ -244,15 +871,77 @@ export function initApp() {
 
     // ===== BACK BUTTON =====
     $('#btn-back').addEventListener('click', () => {
+        if (isReplaying()) {
+            stopReplay();
+            showScreen('history-screen');
+            return;
+        }
+        stopHandsFree();
+        clearQueue();
         if (isRecording) {
             stopListening();
             isRecording = false;
             setRecordingUI(false);
         }
         stopQuotaRefresh();
+        sessionId = null;
         showScreen('role-screen');
     });
 
+    // ===== AUTO DIRECTION =====
+    const autoBtn = $('#btn-auto-direction');
+    autoBtn.classList.toggle('active', autoDirection);
+    autoBtn.addEventListener('click', () => {
+        autoDirection = !autoDirection;
+        localStorage.setItem('auto_direction', autoDirection ? '1' : '0');
+        // Fixed mode always translates from the chosen role's language, not the last detected one
+        if (!autoDirection && currentRole) setDirection(ROLE_LANGS[currentRole].fromLang);
+        autoBtn.classList.toggle('active', autoDirection);
+        setModeLabel(currentRole, autoDirection);
+        updateRecordStatus();
+        showToast(autoDirection ? '自動偵測語言 / ตรวจจับภาษาอัตโนมัติ' : '固定翻譯方向');
+    });
+
+    // ===== HANDS-FREE =====
+    $('#btn-hands-free').addEventListener('click', () => {
+        if (handsFreeActive) stopHandsFree();
+        else startHandsFree();
+    });
+
+    const idleSelect = $('#hands-free-idle');
+    idleSelect.value = String(getHandsFreeIdleMs() / 1000);
+    idleSelect.addEventListener('change', () => {
+        localStorage.setItem(HANDS_FREE_IDLE_KEY, idleSelect.value);
+    });
+
+    // ===== REVIEW BEFORE SEND =====
+    const reviewBtn = $('#btn-review');
+    reviewBtn.classList.toggle('active', reviewBeforeSend);
+    reviewBtn.addEventListener('click', () => {
+        reviewBeforeSend = !reviewBeforeSend;
+        localStorage.setItem('review_before_send', reviewBeforeSend ? '1' : '0');
+        reviewBtn.classList.toggle('active', reviewBeforeSend);
+        showToast(reviewBeforeSend ? '送出前確認辨識結果 / ตรวจสอบก่อนแปล' : '辨識後直接翻譯');
+    });
+
+    // ===== VERIFICATION MODE =====
+    const verifyBtn = $('#btn-verify');
+    verifyBtn.classList.toggle('active', isVerifyEnabled());
+    verifyBtn.addEventListener('click', () => {
+        const enabled = !isVerifyEnabled();
+        setVerifyEnabled(enabled);
+        verifyBtn.classList.toggle('active', enabled);
+        showToast(enabled ? '回譯檢查：開（每次翻譯多用 1 次額度）' : '回譯檢查：關');
+    });
+
+    // ===== NEW TOPIC =====
+    $('#btn-new-topic').addEventListener('click', () => {
+        if (conversation.turns.length === 0) return;
+        conversation.reset();
+        addTopicDivider();
+        showToast('已開始新話題 / เริ่มหัวข้อใหม่');
+    });
+
     // ===== RECORD BUTTON =====
     const recordBtn = $('#btn-record');
 
@@ -262,6 +951,11 @@ export function initApp() {
 
     const onPressStart = (e) => {
         e.preventDefault();
+        // In hands-free mode a tap on the mic stops it
+        if (handsFreeActive) {
+            stopHandsFree();
+            return;
+        }
         if (isRecording) return;
 
         didRecord = false;
@@ -367,20 +1061,48 @@ function stopQuotaRefresh() {
 
 // ===== RECORD =====
 function updateRecordStatus() {
-    const text =
-        currentRole === 'supervisor'
+    if (handsFreeActive) {
+        setRecordStatus('🎧 免持模式：直接說話 / พูดได้เลย');
+        return;
+    }
+    let text =
+        fromLang === 'zh-TW'
             ? '按住開始說中文'
             : 'กดค้างเพื่อพูดภาษาไทย';
+    if (autoDirection) text += ' · 🔀';
     setRecordStatus(text);
 }
 
+/**
+ * Set translation direction from the detected source language (auto mode)
+ */
+function setDirection(lang) {
+    fromLang = lang;
+    toLang = otherLang(lang);
+}
+
+/**
+ * Role recorded for the current turn: in auto mode it follows the spoken language
+ */
+function speakerRole() {
+    if (!autoDirection) return currentRole;
+    return fromLang === 'zh-TW' ? 'supervisor' : 'worker';
+}
+
+/**
+ * Direction tag for source bubbles (only shown in auto mode)
+ */
+function sourceTag() {
+    return autoDirection ? directionLabel(fromLang, toLang) : '';
+}
+
 function setRecordingUI(recording) {
     const btn = $('#btn-record');
     btn.classList.toggle('recording', recording);
 
     if (recording) {
         setRecordStatus(
-            currentRole === 'supervisor' ? '🔴 正在聆聽...' : '🔴 กำลังฟัง...',
+            fromLang === 'zh-TW' ? '🔴 正在聆聽...' : '🔴 กำลังฟัง...',
             true
         );
     } else {
@@ -388,45 +1110,91 @@ function setRecordingUI(recording) {
     }
 }
 
-async function beginRecording() {
-    // Pre-flight quota check
-    const check = canRequest();
-    if (!check.allowed) {
-        showToast(check.reason);
-        return;
-    }
+/**
+ * Listen for one turn and translate it
+ * @param {boolean} [handsFree] - the turn ends at the first pause; no review step or "no speech" toast
+ * @returns {Promise<boolean>} whether any speech was heard
+ */
+async function beginRecording(handsFree = false) {
+    // Offline or out of daily quota: still listen, then use the phrasebook.
+    // The per-minute limit is checked once the text is known, since a correction or the cache may answer it.
+    const offline = needsOfflineFallback();
 
     isRecording = true;
     setRecordingUI(true);
+    let text = '';
+    let sourceShown = false;
+
+    // Live transcript while the button is held
+    const interim = addInterimBubble(fromLang);
 
     try {
-        const listenPromise = startListening(fromLang);
+        const review = reviewBeforeSend && !handsFree;
+        const listenPromise = listen(fromLang, {
+            onInterim: (partial) => setInterimText(interim, partial),
+            maxAlternatives: review ? REVIEW_ALTERNATIVES : 1,
+            continuous: !handsFree,
+        });
 
-        // Wait for user to release button (endRecording will be called)
-        const text = await listenPromise;
+        // Wait for user to release button (endRecording will be called), or for a pause in hands-free mode
+        const heard = await listenPromise;
+        interim.remove();
+        // Hands-free was switched off mid-turn: drop what was heard
+        if (handsFree && !handsFreeActive) return false;
+        text = heard.text;
 
         if (!text) {
-            showToast(
-                currentRole === 'supervisor'
-                    ? '沒有偵測到語音，請再試一次'
-                    : 'ไม่พบเสียง กรุณาลองอีกครั้ง'
-            );
-            return;
+            if (!handsFree) {
+                showToast(
+                    fromLang === 'zh-TW'
+                        ? '沒有偵測到語音，請再試一次'
+                        : 'ไม่พบเสียง กรุณาลองอีกครั้ง'
+                );
+            }
+            return false;
         }
 
-        // Show original text
-        addSourceBubble(text, fromLang);
+        if (review) {
+            setRecordingUI(false);
+            setRecordStatus(fromLang === 'zh-TW' ? '請確認辨識結果' : 'กรุณาตรวจสอบข้อความ');
+            text = await addReviewBubble(heard.alternatives, fromLang);
+            if (!text) return true;
+        }
+
+        if (offline) {
+            addSourceBubble(text, fromLang, sourceTag());
+            await translateOffline(text);
+            return true;
+        }
+
+        // Show original text (in auto mode, after Gemini has identified the language)
+        if (!autoDirection) {
+            addSourceBubble(text, fromLang);
+            sourceShown = true;
+        }
+
+        const options = { history: conversation.snapshot(), detectLanguage: autoDirection };
+        if (!(await quotaAllows(text, options))) {
+            stopHandsFree();
+            return true;
+        }
 
         // Show loading
         showLoading();
         setRecordStatus('翻譯中...');
 
         // Send to Gemini
-        const result = await analyzeAndTranslate(text, fromLang, toLang, currentGender);
-        recordRequest();
+        const result = await translate(text, fromLang, toLang, currentGender, options);
         updateQuotaUI();
         hideLoading();
 
+        if (autoDirection) {
+            // Route by the language Gemini identified; recognition follows it next turn
+            if (result.lang === 'zh-TW' || result.lang === 'th-TH') setDirection(result.lang);
+            addSourceBubble(text, fromLang, sourceTag());
+            sourceShown = true;
+        }
+
         if (result.type === 'clarify') {
             // Show clarification options
             const selectedValue = await addClarifyBubble(result);
@@ -434,24 +1202,28 @@ async function beginRecording() {
             // Translate the selected option
             showLoading();
             setRecordStatus('翻譯中...');
-            const translation = await translateClarified(selectedValue, fromLang, toLang, currentGender);
-            recordRequest();
+            const translation = await clarify(selectedValue, fromLang, toLang, currentGender);
             updateQuotaUI();
             hideLoading();
 
-            addTranslationBubble(translation.translated, toLang, translation.note, currentGender);
-            saveEntry({ role: currentRole, original: selectedValue, translated: translation.translated, fromLang, toLang, note: translation.note });
-            logTranslation({ role: currentRole, original: selectedValue, translated: translation.translated, fromLang, toLang, type: 'clarify', note: translation.note });
+            // Hands-free: the back-translation check decides whether to speak, so wait for it
+            await deliverTranslation(selectedValue, translation, 'clarify');
         } else {
             // Direct translation
-            addTranslationBubble(result.translated, toLang, result.note, currentGender);
-            saveEntry({ role: currentRole, original: text, translated: result.translated, fromLang, toLang, note: result.note });
-            logTranslation({ role: currentRole, original: text, translated: result.translated, fromLang, toLang, type: 'translate', note: result.note });
+            await deliverTranslation(text, result, 'translate');
         }
+        return true;
     } catch (err) {
+        interim.remove();
         hideLoading();
         console.error('Translation error:', err);
-        showToast(simplifyError(err.message));
+        if (text && isNetworkError(err)) {
+            if (!sourceShown) addSourceBubble(text, fromLang, sourceTag());
+            await translateOffline(text);
+        } else {
+            showToast(simplifyError(err.message));
+        }
+        return !!text;
     } finally {
         isRecording = false;
         setRecordingUI(false);
@@ -463,25 +1235,97 @@ function endRecording() {
     stopListening();
 }
 
+// ===== HANDS-FREE MODE =====
+const HANDS_FREE_IDLE_KEY = 'hands_free_idle_sec';
+const DEFAULT_HANDS_FREE_IDLE_SEC = 60;
+let handsFreeActive = false;
+
+function getHandsFreeIdleMs() {
+    return (Number(localStorage.getItem(HANDS_FREE_IDLE_KEY)) || DEFAULT_HANDS_FREE_IDLE_SEC) * 1000;
+}
+
+function updateHandsFreeUI() {
+    $('#translate-screen').classList.toggle('hands-free', handsFreeActive);
+    const btn = $('#btn-hands-free');
+    btn.classList.toggle('active', handsFreeActive);
+    btn.textContent = handsFreeActive ? '⏹ 停止免持 / หยุด' : '🎧 免持模式 / แฮนด์ฟรี';
+    updateRecordStatus();
+}
+
+/**
+ * Listen continuously: each pause ends a turn, which is translated and spoken before listening again.
+ * Stops after the configured idle time without speech.
+ */
+async function startHandsFree() {
+    if (handsFreeActive || isRecording) return;
+    handsFreeActive = true;
+    updateHandsFreeUI();
+    let lastSpeechAt = Date.now();
+
+    while (handsFreeActive) {
+        const heard = await beginRecording(true);
+        if (heard) lastSpeechAt = Date.now();
+        if (!handsFreeActive) break;
+        if (Date.now() - lastSpeechAt > getHandsFreeIdleMs()) {
+            stopHandsFree();
+            showToast('閒置過久，免持模式已停止 / หยุดโหมดแฮนด์ฟรีแล้ว');
+            break;
+        }
+        // Don't listen to our own voice
+        setRecordStatus('🔊 播放中，暫停聆聽 / กำลังพูด...');
+        await whenPlaybackDone();
+        // Some browsers end a silent session immediately; don't spin
+        if (!heard) await new Promise((resolve) => setTimeout(resolve, 300));
+        if (handsFreeActive) updateRecordStatus();
+    }
+}
+
+function stopHandsFree() {
+    if (!handsFreeActive) return;
+    handsFreeActive = false;
+    abortListening();
+    updateHandsFreeUI();
+}
+
+/**
+ * Quota check before a translation request. Passes when a correction or the cache
+ * can answer, since those need no request.
+ * @returns {Promise<boolean>}
+ */
+async function quotaAllows(text, options = {}) {
+    const check = canTranslate();
+    if (check.allowed || (await hasLocalAnswer(text, fromLang, toLang, currentGender, options))) return true;
+    showToast(check.reason);
+    return false;
+}
+
 /**
  * Translate text input (same flow as voice, without STT)
  */
 async function translateText(text) {
-    // Pre-flight quota check
-    const check = canRequest();
-    if (!check.allowed) {
-        showToast(check.reason);
-        return;
+    const offline = needsOfflineFallback();
+    const options = { history: conversation.snapshot() };
+
+    if (autoDirection) {
+        const detected = detectLang(text);
+        if (detected) setDirection(detected);
     }
 
+    // Pre-flight quota check
+    if (!offline && !(await quotaAllows(text, options))) return;
+
     // Show original text
-    addSourceBubble(text, fromLang);
+    addSourceBubble(text, fromLang, sourceTag());
+
+    if (offline) {
+        await translateOffline(text);
+        return;
+    }
 
     try {
         showLoading();
 
-        const result = await analyzeAndTranslate(text, fromLang, toLang, currentGender);
-        recordRequest();
+        const result = await translate(text, fromLang, toLang, currentGender, options);
         updateQuotaUI();
         hideLoading();
 
@@ -489,22 +1333,184 @@ async function translateText(text) {
             const selectedValue = await addClarifyBubble(result);
 
             showLoading();
-            const translation = await translateClarified(selectedValue, fromLang, toLang, currentGender);
-            recordRequest();
+            const translation = await clarify(selectedValue, fromLang, toLang, currentGender);
             updateQuotaUI();
             hideLoading();
 
-            addTranslationBubble(translation.translated, toLang, translation.note, currentGender);
-            saveEntry({ role: currentRole, original: selectedValue, translated: translation.translated, fromLang, toLang, note: translation.note });
-            logTranslation({ role: currentRole, original: selectedValue, translated: translation.translated, fromLang, toLang, type: 'clarify', note: translation.note });
+            deliverTranslation(selectedValue, translation, 'clarify');
         } else {
-            addTranslationBubble(result.translated, toLang, result.note, currentGender);
-            saveEntry({ role: currentRole, original: text, translated: result.translated, fromLang, toLang, note: result.note });
-            logTranslation({ role: currentRole, original: text, translated: result.translated, fromLang, toLang, type: 'translate', note: result.note });
+            deliverTranslation(text, result, 'translate');
         }
     } catch (err) {
         hideLoading();
         console.error('Translation error:', err);
+        if (isNetworkError(err)) {
+            await translateOffline(text);
+        } else {
+            showToast(simplifyError(err.message));
+        }
+    } finally {
+        updateQuotaUI();
+    }
+}
+
+/**
+ * Translate from the offline phrasebook (no network / daily quota used up)
+ * @returns {Promise<boolean>} whether a match was found
+ */
+async function translateOffline(text) {
+    const match = await findPhrase(text, fromLang);
+    if (!match) {
+        showToast(
+            fromLang === 'zh-TW'
+                ? '離線中，找不到相符的常用語'
+                : 'ออฟไลน์ ไม่พบวลีที่ตรงกัน'
+        );
+        return false;
+    }
+
+    addTranslationBubble(match.translated, toLang, '', currentGender, { offlineMatch: match });
+    const role = speakerRole();
+    saveEntry({ role, original: text, translated: match.translated, fromLang, toLang, note: `離線比對：${match.matched}`, type: 'offline', offline: true, gender: currentGender, sessionId });
+    logTranslation({ role, original: text, translated: match.translated, fromLang, toLang, type: 'offline', note: `離線比對：${match.matched}` });
+    return true;
+}
+
+function isNetworkError(err) {
+    const msg = err?.message || '';
+    return msg.includes('Failed to fetch') || msg.includes('NetworkError') || msg.includes('無法連線');
+}
+
+/**
+ * Show a finished translation, check it against the glossary, and record it
+ * @param {string} original - source text that was translated
+ * @param {{ translated: string, note?: string }} translation
+ * @param {'translate' | 'clarify'} type
+ * @returns {Promise<void> | undefined} the back-translation check, in verification mode
+ */
+function deliverTranslation(original, translation, type) {
+    const { matched, violations } = checkTerms(original, translation.translated, fromLang);
+    const role = speakerRole();
+    // Only trusted by the offline phrasebook once something actually checked it: a glossary hit here, or 👍 / a correction later
+    const verified = matched.length > 0 && violations.length === 0;
+    const saved = saveEntry({ role, original, translated: translation.translated, fromLang, toLang, note: translation.note, type, verified, gender: currentGender, sessionId });
+    const turn = { role, original, translated: translation.translated, fromLang, toLang, gender: currentGender, corrected: !!translation.corrected, saved };
+    conversation.add(original, translation.translated, fromLang);
+    logTranslation({ role, original, translated: translation.translated, fromLang, toLang, type, note: translation.note });
+    return showTurn(turn, translation, violations);
+}
+
+/**
+ * Add the translation bubble for a turn (also used when a turn is retranslated with enforced terms)
+ * @returns {Promise<void> | undefined} the back-translation check, in verification mode
+ */
+function showTurn(turn, translation, violations) {
+    const { original, translated, fromLang: from, toLang: to, gender } = turn;
+    // Corrections were checked by a person already
+    const verify = isVerifyEnabled() && !turn.corrected;
+    const bubble = addTranslationBubble(translated, to, translation.note, gender, {
+        autoPlay: !verify,
+        violations,
+        onEnforce: () => retranslateWithTerms(turn, violations),
+        cached: !!translation.cached,
+        corrected: turn.corrected,
+        starred: isFavorite(original, from),
+        onStar: starToggler(original, from),
+        onFeedback: (rating) => rateTranslation(turn, rating),
+        onCorrect: (text) => correctTranslation(turn, text),
+    });
+    if (violations.length === 0) rememberTranslation(original, translated, from);
+    if (verify) return checkBackTranslation(bubble, turn);
+}
+
+/**
+ * Verification mode: back-translate, show the score, and only auto-play when confidence is high
+ */
+async function checkBackTranslation(bubble, turn) {
+    showVerification(bubble, { pending: true });
+    try {
+        const result = await verifyTranslation(turn.original, turn.translated, turn.fromLang, turn.toLang, turn.gender);
+        showVerification(bubble, result);
+        if (!result.low) autoPlayBubble(bubble);
+        const entry = await turn.saved;
+        if (entry) updateEntry(entry.id, { backTranslation: result.backTranslation, confidence: result.confidence });
+    } catch (err) {
+        console.error('Back-translation error:', err);
+        showVerification(bubble, { error: simplifyError(err.message) });
+    } finally {
+        updateQuotaUI();
+    }
+}
+
+/**
+ * Record a 👍/👎 rating in history and the Sheet.
+ * 👎 also drops the cached translation (or the correction it came from) so it isn't served again.
+ */
+async function rateTranslation(turn, rating) {
+    const { role, original, translated, fromLang, toLang, gender } = turn;
+    if (rating === 'down') {
+        if (turn.corrected) removeCorrection(original, fromLang, toLang, gender);
+        else forgetTranslation(original, fromLang, toLang, gender);
+    }
+    const entry = await turn.saved;
+    if (entry) updateEntry(entry.id, { feedback: rating, verified: rating === 'up' });
+    logTranslation({ role, original, translated, fromLang, toLang, type: 'feedback', note: rating === 'up' ? '👍' : '👎' });
+}
+
+/**
+ * Save the user's fix next to the model output; once it passes the glossary check
+ * it overrides the model for this phrase and is used as a prompt example.
+ */
+async function correctTranslation(turn, corrected) {
+    const { role, original, translated, fromLang, toLang, gender } = turn;
+    const violations = findTermViolations(original, corrected, fromLang);
+    if (violations.length === 0) {
+        saveCorrection({ original, fromLang, toLang, gender, modelOutput: translated, corrected });
+        rememberTranslation(original, corrected, fromLang);
+        showToast('已儲存修正，下次會使用修正後的譯文');
+    } else {
+        showToast(`已儲存，但未使用術語：${violations.map((t) => t.zh).join('、')}`);
+    }
+    const entry = await turn.saved;
+    if (entry) updateEntry(entry.id, { corrected, verified: violations.length === 0 });
+    logTranslation({ role, original, translated: corrected, fromLang, toLang, type: 'feedback', note: `✏️ 修正，原譯：${translated}` });
+}
+
+/**
+ * Retranslate after a glossary mismatch, forcing the missing terms.
+ * Uses the turn's own direction and voice, and replaces the translation on its history entry.
+ */
+async function retranslateWithTerms(turn, terms) {
+    const check = canTranslate();
+    if (!check.allowed) {
+        showToast(check.reason);
+        return;
+    }
+
+    const { role, original, fromLang: from, toLang: to, gender } = turn;
+    try {
+        showLoading();
+        const translation = await clarify(original, from, to, gender, { requiredTerms: terms });
+        updateQuotaUI();
+        hideLoading();
+
+        const { matched, violations } = checkTerms(original, translation.translated, from);
+        const entry = await turn.saved;
+        if (entry) {
+            updateEntry(entry.id, {
+                translated: translation.translated,
+                note: translation.note,
+                type: 'enforce',
+                verified: matched.length > 0 && violations.length === 0,
+            });
+        }
+        // Later turns are prompted with the enforced term (replaces the turn if it is still the latest)
+        conversation.add(original, translation.translated, from);
+        logTranslation({ role, original, translated: translation.translated, fromLang: from, toLang: to, type: 'feedback', note: `🔁 依術語重譯，原譯：${turn.translated}` });
+        await showTurn({ ...turn, translated: translation.translated, corrected: false }, translation, violations);
+    } catch (err) {
+        hideLoading();
+        console.error('Retranslation error:', err);
         showToast(simplifyError(err.message));
     } finally {
         updateQuotaUI();
@@ -514,12 +1520,15 @@ async function translateText(text) {
 // ===== ERROR SIMPLIFICATION =====
 function simplifyError(msg) {
     if (!msg) return '翻譯失敗，請再試一次';
+    if (msg.includes('額度')) return msg; // quota pre-flight reasons are already user-facing
     if (msg.includes('限流') || msg.includes('429') || msg.includes('quota'))
         return '翻譯太頻繁，請稍等幾秒再試';
     if (msg.includes('403') || msg.includes('無效') || msg.includes('過期'))
         return 'API Key 有問題，請聯繫管理員';
     if (msg.includes('API Key'))
         return '尚未設定 API Key';
+    if (msg.includes('自架模型網址'))
+        return '尚未設定自架模型網址';
     if (msg.includes('格式錯誤') || msg.includes('JSON'))
         return '翻譯失敗，請再試一次';
     if (msg.includes('沒有回傳'))
@@ -529,28 +1538,196 @@ function simplifyError(msg) {
     return '翻譯失敗，請再試一次';
 }
 
+// ===== VOICE SETTINGS =====
+const VOICE_LANGS = { 'zh-TW': '中文 / ภาษาจีน', 'th-TH': '泰文 / ภาษาไทย' };
+const VOICE_HOW = {
+    pinned: '已指定',
+    name: '依名稱判斷性別',
+    pitch: '沒有此性別的語音，以音高模擬',
+    none: '沒有語音',
+};
+
+function voiceSliderHtml(lang, field, label, min, max, value) {
+    return `
+        <label class="voice-slider-row">
+            <span>${label} <b>${value.toFixed(1)}</b></span>
+            <input type="range" class="voice-slider" data-lang="${lang}" data-field="${field}"
+                min="${min}" max="${max}" step="0.1" value="${value}" />
+        </label>
+    `;
+}
+
+function voiceSectionHtml(lang) {
+    const voices = listVoices(lang);
+    const settings = getVoiceSettings(lang);
+    const male = resolveVoice(lang, 'male');
+    const female = resolveVoice(lang, 'female');
+    const describe = (r) => `${r.voice ? escHtml(r.voice.name) : '—'}（${VOICE_HOW[r.how]}）`;
+
+    return `
+        <section class="voice-section">
+            <h3>${VOICE_LANGS[lang]} <span class="voice-count">${voices.length} 個語音</span></h3>
+            ${isVoiceMissing(lang) ? `
+            <div class="term-warning voice-missing">
+                ⚠️ 此裝置沒有安裝${lang === 'th-TH' ? '泰文' : '中文'}語音，翻譯只會以大字顯示。<br/>
+                請到 Android「設定 → 文字轉語音」安裝 Google 語音資料（${lang === 'th-TH' ? 'ไทย' : '中文'}）。
+            </div>` : ''}
+            <div class="voice-resolved">👨 ${describe(male)}<br/>👩 ${describe(female)}</div>
+            ${voiceSliderHtml(lang, 'rate', '語速', 0.5, 1.5, settings.rate)}
+            ${voiceSliderHtml(lang, 'pitch', '音高', 0.5, 2, settings.pitch)}
+            ${voiceSliderHtml(lang, 'volume', '音量', 0, 1, settings.volume)}
+            <div class="voice-preview-row">
+                <button class="history-btn voice-preview" data-lang="${lang}" data-gender="male">▶ 試聽男聲</button>
+                <button class="history-btn voice-preview" data-lang="${lang}" data-gender="female">▶ 試聽女聲</button>
+            </div>
+            ${voices.map((v) => `
+            <div class="voice-row">
+                <div class="voice-name">${escHtml(v.name)}<small>${escHtml(v.lang)} · ${v.localService ? '本機' : '需連網'}</small></div>
+                <button class="action-btn voice-play" data-lang="${lang}" data-uri="${escHtml(v.voiceURI)}" aria-label="試聽">▶</button>
+                <button class="action-btn voice-pin${settings.pinned.male === v.voiceURI ? ' active' : ''}" data-lang="${lang}" data-gender="male" data-uri="${escHtml(v.voiceURI)}" title="指定為男聲">👨</button>
+                <button class="action-btn voice-pin${settings.pinned.female === v.voiceURI ? ' active' : ''}" data-lang="${lang}" data-gender="female" data-uri="${escHtml(v.voiceURI)}" title="指定為女聲">👩</button>
+            </div>`).join('')}
+        </section>
+    `;
+}
+
+/**
+ * Voice settings & diagnostics: playback options, installed voices, pinned voice per gender, rate/pitch/volume
+ */
+function renderVoices() {
+    const supported = !!window.speechSynthesis;
+    const total = supported ? window.speechSynthesis.getVoices().length : 0;
+    const fallback = getNoVoiceFallback();
+    $('#voices-list').innerHTML = `
+        <div class="voice-diagnostics">
+            <div>語音合成：${supported ? '✅ 支援' : '❌ 此瀏覽器不支援'} · 已安裝語音 ${total} 個</div>
+            <label class="voice-slider-row">
+                <span>翻譯後自動播放</span>
+                <input id="playback-autoplay" type="checkbox"${isAutoPlayEnabled() ? ' checked' : ''} />
+            </label>
+            <label class="voice-slider-row">
+                <span>每次播放（吵雜區可重複）</span>
+                <select id="playback-repeat" class="glossary-select">
+                    ${[1, 2, 3].map((n) => `<option value="${n}"${getRepeatCount() === n ? ' selected' : ''}>${n} 次</option>`).join('')}
+                </select>
+            </label>
+            <label class="voice-slider-row">
+                <span>沒有語音時</span>
+                <select id="voice-fallback" class="glossary-select">
+                    <option value="large-text"${fallback === 'large-text' ? ' selected' : ''}>以大字顯示譯文</option>
+                    <option value="try"${fallback === 'try' ? ' selected' : ''}>仍嘗試朗讀</option>
+                </select>
+            </label>
+        </div>
+        ${Object.keys(VOICE_LANGS).map(voiceSectionHtml).join('')}
+    `;
+}
+
 // ===== QUICK PHRASES =====
 function renderQuickPhrases(role) {
     const container = $('#quick-phrases');
     const scroll = container.querySelector('.quick-phrases-scroll');
-    const phrases = QUICK_PHRASES[role] || [];
+    const phrases = getPhrases(role);
+
+    // Grouped by category, in the user's order within each group
+    scroll.innerHTML = Object.entries(PHRASE_CATEGORIES)
+        .map(([key, label]) => {
+            const group = phrases.filter((p) => p.category === key);
+            if (group.length === 0) return '';
+            return `<span class="quick-phrase-group">${label}</span>` + group
+                .map((p) => `<button class="quick-phrase-btn" data-role="${role}" data-id="${p.id}">${escHtml(p.text)}</button>`)
+                .join('');
+        })
+        .join('') + `<button class="quick-phrase-btn quick-phrase-edit" data-role="${role}" aria-label="編輯常用語">✏️</button>`;
 
-    if (phrases.length === 0) {
-        container.style.display = 'none';
+    container.style.display = '';
+}
+
+/**
+ * Tap on a quick phrase: play the saved translation instantly, or translate it once and keep the result
+ */
+function playQuickPhrase(role, phrase) {
+    if (!phrase.translated) {
+        translateText(phrase.text);
         return;
     }
 
-    scroll.innerHTML = phrases
-        .map((p) => `<button class="quick-phrase-btn">${escHtml(p)}</button>`)
-        .join('');
-
-    scroll.querySelectorAll('.quick-phrase-btn').forEach((btn) => {
-        btn.addEventListener('click', () => {
-            translateText(btn.textContent);
-        });
+    if (autoDirection) setDirection(ROLE_LANGS[role].fromLang);
+    addSourceBubble(phrase.text, fromLang, sourceTag());
+    addTranslationBubble(phrase.translated, toLang, '', currentGender, {
+        favorite: true,
+        starred: isFavorite(phrase.text, fromLang),
+        onStar: starToggler(phrase.text, fromLang),
     });
+    conversation.add(phrase.text, phrase.translated, fromLang);
+    const speaker = speakerRole();
+    saveEntry({ role: speaker, original: phrase.text, translated: phrase.translated, fromLang, toLang, type: 'favorite', verified: true, gender: currentGender, sessionId });
+    logTranslation({ role: speaker, original: phrase.text, translated: phrase.translated, fromLang, toLang, type: 'favorite' });
+}
 
-    container.style.display = '';
+/**
+ * Star button handler for a translation bubble, given the text the bubble shows; refreshes the phrase bar
+ */
+function starToggler(original, lang) {
+    return (translated) => {
+        const starred = toggleFavorite({ original, translated, fromLang: lang });
+        renderQuickPhrases(currentRole);
+        return starred;
+    };
+}
+
+async function toggleHistoryStar(btn) {
+    const entry = await getEntry(btn.dataset.id);
+    if (!entry) return;
+    // Star the user's correction, not the model output it replaced
+    const starred = toggleFavorite({ ...entry, translated: entry.corrected || entry.translated });
+    btn.classList.toggle('starred', starred);
+    btn.textContent = starred ? '★' : '☆';
+    showToast(starred ? '已加入常用語' : '已從常用語移除');
+}
+
+function renderPhraseList() {
+    const role = $('#phrases-role').value;
+    const phrases = getPhrases(role);
+    const list = $('#phrases-list');
+    $('#phrase-text').placeholder = role === 'supervisor' ? '中文常用語' : 'วลีภาษาไทย';
+
+    if (phrases.length === 0) {
+        list.innerHTML = `
+            <div class="history-empty">
+                <p>⭐ 還沒有常用語</p>
+                <p class="placeholder-sub">ยังไม่มีวลีที่ใช้บ่อย</p>
+            </div>
+        `;
+        return;
+    }
+
+    list.innerHTML = Object.entries(PHRASE_CATEGORIES)
+        .map(([key, label]) => {
+            const group = phrases.filter((p) => p.category === key);
+            if (group.length === 0) return '';
+            return `
+        <div class="glossary-group">
+            <div class="glossary-group-title">${label} · ${group.length}</div>
+            ${group.map((p) => `
+            <div class="history-entry glossary-entry">
+                <div class="phrase-order">
+                    <button class="icon-btn" data-action="up" data-id="${p.id}" aria-label="上移">▲</button>
+                    <button class="icon-btn" data-action="down" data-id="${p.id}" aria-label="下移">▼</button>
+                </div>
+                <div class="glossary-pair">
+                    <span class="history-original">${escHtml(p.text)}</span>
+                    ${p.translated
+                        ? `<span class="history-translated">${escHtml(p.translated)}</span>`
+                        : '<span class="phrase-untranslated">第一次使用時翻譯</span>'}
+                </div>
+                <button class="icon-btn" data-action="edit" data-id="${p.id}" aria-label="編輯">✏️</button>
+                <button class="icon-btn" data-action="delete" data-id="${p.id}" aria-label="刪除">🗑️</button>
+            </div>`).join('')}
+        </div>
+    `;
+        })
+        .join('');
 }
 
 // ===== HISTORY RENDERING =====
@@ -560,42 +1737,201 @@ function escHtml(str) {
     return d.innerHTML;
 }
 
-function renderHistory(search = '') {
+/**
+ * Map a Google Sheets row (as returned by the doGet query API) to a history entry
+ */
+function sheetRecordToEntry(r) {
+    const zhToTh = r.direction === '中文→泰文';
+    return {
+        recordId: r.id || undefined,
+        timestamp: r.timestamp,
+        role: r.role === '主管' ? 'supervisor' : 'worker',
+        original: String(r.original),
+        translated: String(r.translated),
+        fromLang: zhToTh ? 'zh-TW' : 'th-TH',
+        toLang: zhToTh ? 'th-TH' : 'zh-TW',
+        note: r.note || undefined,
+        type: r.type || undefined,
+        offline: r.type === 'offline' || undefined,
+    };
+}
+
+const HISTORY_PAGE_SIZE = 50;
+let historyQuery = { filters: {}, nextBefore: null, generation: 0, sessions: new Set() };
+
+function historyEntryHtml(e, search = '', isStarred = isFavorite) {
+    const starred = isStarred(e.original, e.fromLang);
+    return `
+        <div class="history-entry">
+            <div class="history-meta">
+                <span class="history-role ${e.role}">${e.role === 'supervisor' ? '主管' : 'พนักงาน'}</span>
+                <span>${formatTime(e.timestamp)}</span>
+                <button class="history-star${starred ? ' starred' : ''}" data-id="${e.id}" aria-label="收藏">${starred ? '★' : '☆'}</button>
+            </div>
+            <div class="history-original">${highlight(e.original, search)}</div>
+            <div class="history-translated">${highlight(e.corrected || e.translated, search)}${e.feedback === 'up' ? ' 👍' : e.feedback === 'down' ? ' 👎' : ''}</div>
+            ${e.corrected ? `<div class="history-note">✏️ 已修正，原譯：${highlight(e.translated, search)}</div>` : ''}
+            ${e.confidence != null ? `<div class="history-note">🔁 回譯信心度 ${Math.round(e.confidence * 100)}%：${escHtml(e.backTranslation)}</div>` : ''}
+            ${e.note ? `<div class="history-note">${escHtml(e.note)}</div>` : ''}
+        </div>
+    `;
+}
+
+function formatDuration(ms) {
+    const minutes = Math.round(ms / 60000);
+    return minutes < 1 ? '不到 1 分鐘' : `${minutes} 分鐘`;
+}
+
+/**
+ * A collapsible group for one conversation session, oldest first
+ * @param {import('./history.js').HistoryEntry[]} turns - all turns of the session
+ * @param {import('./history.js').HistoryEntry[]} shown - the turns matching the current search / filters
+ * @param {boolean} open - expanded (when searching/filtering, so matches are visible)
+ */
+function historySessionHtml(id, turns, shown, search, open, isStarred) {
+    const start = turns[0].timestamp;
+    const end = turns[turns.length - 1].timestamp;
+    const count = shown.length === turns.length ? `${turns.length} 句` : `${shown.length} / ${turns.length} 句`;
+    return `
+        <details class="history-session"${open ? ' open' : ''}>
+            <summary>
+                <span class="history-session-title">💬 對話 · ${formatTime(start)}</span>
+                <span class="history-session-meta">${formatDuration(end - start)} · ${count}</span>
+            </summary>
+            <div class="history-session-turns">
+                ${shown.map((t) => historyEntryHtml(t, search, isStarred)).join('')}
+                <button class="history-btn replay-btn" data-session="${escHtml(id)}">▶️ 開啟回放 / เปิดดูย้อนหลัง</button>
+            </div>
+        </details>
+    `;
+}
+
+/**
+ * Current search text and filter panel values, as queryHistory options
+ */
+function readHistoryFilters() {
+    const day = (value, endOfDay) => {
+        if (!value) return undefined;
+        const d = new Date(`${value}T00:00:00`);
+        if (endOfDay) d.setDate(d.getDate() + 1);
+        return endOfDay ? d.getTime() - 1 : d.getTime();
+    };
+    return {
+        search: $('#history-search-input').value.trim(),
+        role: $('#filter-role').value || undefined,
+        direction: $('#filter-direction').value || undefined,
+        type: $('#filter-type').value || undefined,
+        from: day($('#filter-from').value, false),
+        to: day($('#filter-to').value, true),
+        filter: $('#filter-starred').checked ? starredFilter() : undefined,
+    };
+}
+
+function starredFilter() {
+    const isStarred = favoriteChecker();
+    return (e) => isStarred(e.original, e.fromLang);
+}
+
+function hasHistoryFilters(filters) {
+    return Object.values(filters).some(Boolean);
+}
+
+/**
+ * Render the first page of history; more pages load via the "load more" button
+ */
+function renderHistory() {
+    const filters = readHistoryFilters();
+    $('#btn-history-filter').classList.toggle('active', hasHistoryFilters({ ...filters, search: '' }));
+    historyQuery = { filters, nextBefore: null, generation: historyQuery.generation + 1, sessions: new Set() };
+    $('#history-list').innerHTML = '';
+    loadHistoryPage();
+}
+
+async function loadHistoryPage() {
     const list = $('#history-list');
-    let entries = getHistory();
-
-    if (search) {
-        const q = search.toLowerCase();
-        entries = entries.filter(
-            (e) =>
-                e.original.toLowerCase().includes(q) ||
-                e.translated.toLowerCase().includes(q)
-        );
+    const { filters, nextBefore, generation } = historyQuery;
+    const filtering = hasHistoryFilters(filters);
+    list.querySelector('#btn-history-more')?.remove();
+
+    let page;
+    try {
+        page = await queryHistory({ ...filters, before: nextBefore ?? undefined, limit: HISTORY_PAGE_SIZE });
+    } catch (err) {
+        console.error('History load failed:', err);
+        showToast('無法讀取紀錄');
+        return;
     }
+    // A newer search started while this page was loading
+    if (generation !== historyQuery.generation) return;
 
-    if (entries.length === 0) {
+    if (page.entries.length === 0 && nextBefore == null) {
         list.innerHTML = `
             <div class="history-empty">
-                <p>${search ? '找不到結果' : '📝 還沒有翻譯紀錄'}</p>
-                <p class="placeholder-sub">${search ? 'ไม่พบผลลัพธ์' : 'ยังไม่มีประวัติ'}</p>
+                <p>${filtering ? '找不到結果' : '📝 還沒有翻譯紀錄'}</p>
+                <p class="placeholder-sub">${filtering ? 'ไม่พบผลลัพธ์' : 'ยังไม่มีประวัติ'}</p>
             </div>
         `;
         return;
     }
 
-    list.innerHTML = entries
-        .map(
-            (e) => `
-        <div class="history-entry">
-            <div class="history-meta">
-                <span class="history-role ${e.role}">${e.role === 'supervisor' ? '主管' : 'พนักงาน'}</span>
-                <span>${formatTime(e.timestamp)}</span>
+    // Turns of a session collapse into one group, shown where its newest turn falls;
+    // the group only lists the turns the filters let through
+    const isStarred = favoriteChecker();
+    const matches = historyMatcher(filters);
+    const parts = [];
+    for (const e of page.entries) {
+        if (!e.sessionId) {
+            parts.push(historyEntryHtml(e, filters.search, isStarred));
+            continue;
+        }
+        if (historyQuery.sessions.has(e.sessionId)) continue;
+        historyQuery.sessions.add(e.sessionId);
+        const turns = await getSession(e.sessionId);
+        parts.push(historySessionHtml(e.sessionId, turns, turns.filter(matches), filters.search, filtering, isStarred));
+    }
+    if (generation !== historyQuery.generation) return;
+
+    list.insertAdjacentHTML('beforeend', parts.join(''));
+    historyQuery.nextBefore = page.nextBefore;
+    if (page.nextBefore != null) {
+        list.insertAdjacentHTML('beforeend', '<button id="btn-history-more" class="history-btn history-more">載入更多 / โหลดเพิ่ม</button>');
+    }
+}
+
+// ===== GLOSSARY RENDERING =====
+function renderGlossary() {
+    const { version, terms } = getGlossary();
+    $('#glossary-version').textContent = `v${version}`;
+
+    const list = $('#glossary-list');
+    if (terms.length === 0) {
+        list.innerHTML = `
+            <div class="history-empty">
+                <p>📖 術語表是空的</p>
+                <p class="placeholder-sub">ยังไม่มีคำศัพท์</p>
             </div>
-            <div class="history-original">${escHtml(e.original)}</div>
-            <div class="history-translated">${escHtml(e.translated)}</div>
-            ${e.note ? `<div class="history-note">${escHtml(e.note)}</div>` : ''}
+        `;
+        return;
+    }
+
+    list.innerHTML = Object.entries(CATEGORIES)
+        .map(([key, label]) => {
+            const group = terms.filter((t) => t.category === key);
+            if (group.length === 0) return '';
+            return `
+        <div class="glossary-group">
+            <div class="glossary-group-title">${label} · ${group.length}</div>
+            ${group.map((t) => `
+            <div class="history-entry glossary-entry">
+                <div class="glossary-pair">
+                    <span class="history-original">${escHtml(t.zh)}</span>
+                    <span class="history-translated">${escHtml(t.th)}</span>
+                </div>
+                <button class="icon-btn" data-action="edit" data-id="${t.id}" aria-label="編輯">✏️</button>
+                <button class="icon-btn" data-action="delete" data-id="${t.id}" aria-label="刪除">🗑️</button>
+            </div>`).join('')}
         </div>
-    `
-        )
+    `;
+        })
         .join('');
 }
@@ -0,0 +1,139 @@
+/**
+ * Translation cache - IndexedDB store in front of the translation provider.
+ *
+ * Key: provider + glossary version + direction + gender + normalized source text,
+ * so editing the glossary retires translations made with the old terms.
+ * Entries expire after CACHE_TTL_MS and the least recently used ones are
+ * evicted above MAX_ENTRIES. Only direct ('translate') results are cached;
+ * clarify questions depend on conversation context.
+ * Cache failures never break translation - they behave as a miss.
+ */
+
+import { promisify, withStore } from './db.js';
+import { getGlossary } from './glossary.js';
+
+const STORE = 'translations';
+const MAX_ENTRIES = 500;
+const CACHE_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+/**
+ * Normalize source text so trivial differences share one entry
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizeText(text) {
+    return (text || '')
+        .normalize('NFC')
+        .trim()
+        .replace(/\s+/g, ' ')
+        .replace(/[。！？!?.，,、\s]+$/u, '')
+        .toLowerCase();
+}
+
+function cacheKey(providerId, text, fromLang, toLang, gender) {
+    return [providerId, `g${getGlossary().version}`, fromLang, toLang, gender, normalizeText(text)].join('|');
+}
+
+/**
+ * Look up a cached translation
+ * @returns {Promise<Object | null>} the stored 'translate' result, or null on miss
+ */
+export async function getCached(providerId, text, fromLang, toLang, gender) {
+    const key = cacheKey(providerId, text, fromLang, toLang, gender);
+    try {
+        return await withStore(STORE, 'readwrite', async (store) => {
+            const entry = await promisify(store.get(key));
+            if (!entry) return null;
+            if (Date.now() - entry.createdAt > CACHE_TTL_MS) {
+                store.delete(key);
+                return null;
+            }
+            entry.lastUsedAt = Date.now();
+            entry.hits = (entry.hits || 0) + 1;
+            store.put(entry);
+            return entry.result;
+        });
+    } catch (err) {
+        console.warn('[Cache] lookup failed:', err.message);
+        return null;
+    }
+}
+
+/**
+ * Whether a fresh cached translation exists, without counting it as a use
+ * @returns {Promise<boolean>}
+ */
+export async function hasCached(providerId, text, fromLang, toLang, gender) {
+    const key = cacheKey(providerId, text, fromLang, toLang, gender);
+    try {
+        const entry = await withStore(STORE, 'readonly', (store) => promisify(store.get(key)));
+        return !!entry && Date.now() - entry.createdAt <= CACHE_TTL_MS;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Store a translation result (only 'translate' results are cached)
+ */
+export async function setCached(providerId, text, fromLang, toLang, gender, result) {
+    if (!result || result.type !== 'translate' || !result.translated) return;
+    const key = cacheKey(providerId, text, fromLang, toLang, gender);
+    const now = Date.now();
+    try {
+        await withStore(STORE, 'readwrite', async (store) => {
+            store.put({ key, result, createdAt: now, lastUsedAt: now, hits: 0 });
+            const count = await promisify(store.count());
+            if (count <= MAX_ENTRIES) return;
+            // Evict least recently used
+            let excess = count - MAX_ENTRIES;
+            await new Promise((resolve, reject) => {
+                const cursorReq = store.index('lastUsedAt').openCursor();
+                cursorReq.onsuccess = () => {
+                    const cursor = cursorReq.result;
+                    if (!cursor || excess <= 0) {
+                        resolve();
+                        return;
+                    }
+                    cursor.delete();
+                    excess--;
+                    cursor.continue();
+                };
+                cursorReq.onerror = () => reject(cursorReq.error);
+            });
+        });
+    } catch (err) {
+        console.warn('[Cache] store failed:', err.message);
+    }
+}
+
+/**
+ * Drop one cached translation (e.g. the user rated it 👎)
+ */
+export async function deleteCached(providerId, text, fromLang, toLang, gender) {
+    const key = cacheKey(providerId, text, fromLang, toLang, gender);
+    try {
+        await withStore(STORE, 'readwrite', (store) => { store.delete(key); });
+    } catch (err) {
+        console.warn('[Cache] delete failed:', err.message);
+    }
+}
+
+/**
+ * Number of cached translations
+ * @returns {Promise<number>}
+ */
+export async function getCacheSize() {
+    try {
+        return await withStore(STORE, 'readonly', (store) => promisify(store.count()));
+    } catch {
+        return 0;
+    }
+}
+
+/**
+ * Clear the whole cache
+ */
+export async function clearCache() {
+    await withStore(STORE, 'readwrite', (store) => { store.clear(); });
+}
@@ -0,0 +1,49 @@
+/**
+ * Conversation context - recent turns of a chat, sent to Gemini so
+ * pronouns and follow-ups ("那個", "弄一下") resolve.
+ * Capped by turn count and by characters (≈ tokens for Chinese/Thai).
+ */
+
+const MAX_CONTEXT_TURNS = 6;
+const MAX_CONTEXT_CHARS = 800;
+
+/**
+ * @typedef {Object} ContextTurn
+ * @property {string} original
+ * @property {string} translated
+ * @property {'zh-TW' | 'th-TH'} fromLang
+ */
+
+/**
+ * Create an empty conversation context
+ */
+export function createContext() {
+    return {
+        /** @type {ContextTurn[]} */
+        turns: [],
+
+        add(original, translated, fromLang) {
+            // A retranslation of the same sentence replaces the previous turn
+            const last = this.turns[this.turns.length - 1];
+            if (last && last.original === original) this.turns.pop();
+            this.turns.push({ original, translated, fromLang });
+            if (this.turns.length > MAX_CONTEXT_TURNS) {
+                this.turns.splice(0, this.turns.length - MAX_CONTEXT_TURNS);
+            }
+            // Drop oldest turns until under the size cap
+            const size = () => this.turns.reduce((n, t) => n + t.original.length + t.translated.length, 0);
+            while (this.turns.length > 1 && size() > MAX_CONTEXT_CHARS) {
+                this.turns.shift();
+            }
+        },
+
+        reset() {
+            this.turns = [];
+        },
+
+        /** Copy for passing to the API, so later edits don't affect an in-flight request */
+        snapshot() {
+            return this.turns.slice();
+        },
+    };
+}
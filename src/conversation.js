@@ -0,0 +1,278 @@
+/**
+ * Face-to-face conversation mode - split screen with one record button per side.
+ * The worker's half is rotated 180° so it reads correctly across a table.
+ * Both sides share one chat log, context and history session.
+ */
+
+import { startListening, stopListening, abortListening } from './speech.js';
+import { enqueue, playNow, clearQueue, isAutoPlayEnabled } from './playback.js';
+import { canTranslate, hasLocalAnswer, translate, clarify } from './provider.js';
+import { showScreen, showToast, addClarifyBubble, scrollToBottom } from './ui.js';
+import { saveEntry, newSessionId } from './history.js';
+import { logTranslation } from './logger.js';
+import { createContext } from './context.js';
+import { getQuota } from './quota.js';
+
+const $ = (sel) => document.querySelector(sel);
+
+const SIDES = {
+    supervisor: {
+        fromLang: 'zh-TW',
+        toLang: 'th-TH',
+        idle: '按住說中文',
+        listening: '🔴 正在聆聽...',
+        translating: '翻譯中...',
+        noSpeech: '沒有偵測到語音，請再試一次',
+        youSaid: '你說的',
+        theySaid: '員工說',
+        translatedAs: '泰文翻譯',
+    },
+    worker: {
+        fromLang: 'th-TH',
+        toLang: 'zh-TW',
+        idle: 'กดค้างเพื่อพูดภาษาไทย',
+        listening: '🔴 กำลังฟัง...',
+        translating: 'กำลังแปล...',
+        noSpeech: 'ไม่พบเสียง กรุณาลองอีกครั้ง',
+        youSaid: 'ที่คุณพูด',
+        theySaid: 'หัวหน้าพูดว่า',
+        translatedAs: 'คำแปลภาษาจีน',
+    },
+};
+
+const context = createContext();
+let sessionId = null;
+let activeSide = null; // side currently recording or translating
+let turnAbort = null; // aborts the turn in progress when leaving the mode
+let quotaTimer = null;
+const genders = {
+    supervisor: localStorage.getItem('conv_gender_supervisor') || 'male',
+    worker: localStorage.getItem('conv_gender_worker') || 'male',
+};
+
+function other(side) {
+    return side === 'supervisor' ? 'worker' : 'supervisor';
+}
+
+function chatOf(side) {
+    return $(`#conv-chat-${side}`);
+}
+
+function escHtml(str) {
+    const d = document.createElement('div');
+    d.textContent = str || '';
+    return d.innerHTML;
+}
+
+/**
+ * Set up the face-to-face screen (call once from initApp)
+ */
+export function initConversationMode() {
+    $('#btn-conversation').addEventListener('click', startSession);
+    $('#btn-conv-back').addEventListener('click', endSession);
+
+    document.querySelectorAll('.conv-gender').forEach((btn) => {
+        const side = btn.dataset.side;
+        updateGenderButton(btn, side);
+        btn.addEventListener('click', () => {
+            genders[side] = genders[side] === 'male' ? 'female' : 'male';
+            localStorage.setItem(`conv_gender_${side}`, genders[side]);
+            updateGenderButton(btn, side);
+        });
+    });
+
+    document.querySelectorAll('.conv-record').forEach((btn) => {
+        const side = btn.dataset.side;
+        let pressTimer = null;
+        let didRecord = false;
+
+        const onPressStart = (e) => {
+            e.preventDefault();
+            if (activeSide) return;
+            didRecord = false;
+            pressTimer = setTimeout(() => {
+                didRecord = true;
+                beginRecording(side);
+            }, 150); // Small delay to avoid accidental taps
+        };
+
+        const onPressEnd = (e) => {
+            e.preventDefault();
+            clearTimeout(pressTimer);
+            if (didRecord && activeSide === side) {
+                stopListening();
+            }
+        };
+
+        btn.addEventListener('touchstart', onPressStart, { passive: false });
+        btn.addEventListener('touchend', onPressEnd, { passive: false });
+        btn.addEventListener('touchcancel', onPressEnd, { passive: false });
+        btn.addEventListener('mousedown', onPressStart);
+        btn.addEventListener('mouseup', onPressEnd);
+        btn.addEventListener('mouseleave', onPressEnd);
+        btn.addEventListener('contextmenu', (e) => e.preventDefault());
+    });
+}
+
+function updateGenderButton(btn, side) {
+    const female = genders[side] === 'female';
+    btn.textContent = side === 'supervisor'
+        ? (female ? '👩 女聲' : '👨 男聲')
+        : (female ? '👩 หญิง' : '👨 ชาย');
+}
+
+function startSession() {
+    sessionId = newSessionId();
+    context.reset();
+    for (const side of Object.keys(SIDES)) {
+        chatOf(side).innerHTML = '';
+        setStatus(side, SIDES[side].idle);
+    }
+    updateQuota();
+    quotaTimer = setInterval(updateQuota, 1000);
+    showScreen('conversation-screen');
+}
+
+function endSession() {
+    if (activeSide) {
+        // Discard what was heard so far rather than translating it after leaving
+        abortListening();
+        activeSide = null;
+    }
+    // Cancels the turn in progress and settles an open clarify bubble, so it doesn't wait forever
+    turnAbort?.abort();
+    turnAbort = null;
+    clearQueue();
+    clearInterval(quotaTimer);
+    quotaTimer = null;
+    sessionId = null;
+    showScreen('role-screen');
+}
+
+// Compact version of the main screen's quota bar
+function updateQuota() {
+    const q = getQuota();
+    const el = $('#conv-quota');
+    if (q.rpm.remaining === 0 && q.rpm.resetInSec > 0) {
+        el.textContent = `⏳ ${q.rpm.resetInSec}s`;
+    } else {
+        el.textContent = `📊 ${q.rpd.remaining}/${q.rpd.max}`;
+    }
+    el.classList.toggle('warn', q.rpd.remaining / q.rpd.max <= 0.1);
+}
+
+function setStatus(side, text, recording = false) {
+    const el = $(`.conv-status[data-side="${side}"]`);
+    el.textContent = text;
+    el.classList.toggle('recording', recording);
+    $(`.conv-record[data-side="${side}"]`).classList.toggle('recording', recording);
+}
+
+/**
+ * Append a message to one half's chat log
+ * @param {'supervisor' | 'worker'} side - whose half to render in
+ * @param {'source' | 'target'} kind - own speech (source) or the other side's, translated (target)
+ * @returns {HTMLElement}
+ */
+function addMessage(side, kind, label, text, lang, gender) {
+    const chat = chatOf(side);
+    const div = document.createElement('div');
+    div.className = `chat-msg ${kind}`;
+    div.innerHTML = `
+    <div class="bubble-label">${escHtml(label)}</div>
+    <div class="bubble${kind === 'target' ? ' translation-bubble' : ''}">
+      <div class="${kind === 'target' ? 'translation-text' : ''}">${escHtml(text)}</div>
+      ${kind === 'target' ? '<div class="bubble-actions"><button class="action-btn play-btn">🔊</button></div>' : ''}
+    </div>
+  `;
+    const playBtn = div.querySelector('.play-btn');
+    if (playBtn) {
+        playBtn.addEventListener('click', () => playNow(playbackItem(div, text, lang, gender)));
+    }
+    chat.appendChild(div);
+    scrollToBottom(chat);
+    return div;
+}
+
+// Playback queue item that shows its state on the message
+function playbackItem(div, text, lang, gender) {
+    return {
+        text,
+        lang,
+        gender,
+        onState: (state) => {
+            div.classList.toggle('queued', state === 'queued');
+            div.classList.toggle('playing', state === 'playing');
+        },
+    };
+}
+
+async function beginRecording(side) {
+    const cfg = SIDES[side];
+    activeSide = side;
+    setStatus(side, cfg.listening, true);
+    // Created before listening, so leaving the mode at any point cancels this turn
+    const abort = new AbortController();
+    turnAbort = abort;
+
+    try {
+        const text = await startListening(cfg.fromLang);
+        if (abort.signal.aborted) return;
+        if (!text) {
+            setStatus(side, cfg.idle);
+            showToast(cfg.noSpeech);
+            return;
+        }
+        await translateTurn(side, text, abort.signal);
+    } catch (err) {
+        console.error('Conversation translation error:', err);
+        showToast(side === 'supervisor' ? '翻譯失敗，請再試一次' : 'แปลไม่สำเร็จ กรุณาลองอีกครั้ง');
+    } finally {
+        if (turnAbort === abort) turnAbort = null;
+        activeSide = null;
+        setStatus(side, cfg.idle);
+    }
+}
+
+async function translateTurn(side, text, signal) {
+    const cfg = SIDES[side];
+    const gender = genders[side];
+    const options = { history: context.snapshot() };
+
+    // A correction or cached answer needs no request, so the quota only blocks the rest
+    const check = canTranslate();
+    if (!check.allowed && !(await hasLocalAnswer(text, cfg.fromLang, cfg.toLang, gender, options))) {
+        showToast(check.reason);
+        return;
+    }
+    if (signal.aborted) return;
+
+    addMessage(side, 'source', cfg.youSaid, text, cfg.fromLang);
+    setStatus(side, cfg.translating);
+
+    let original = text;
+    let type = 'translate';
+    let result = await translate(text, cfg.fromLang, cfg.toLang, gender, options);
+    updateQuota();
+
+    if (result.type === 'clarify' && !signal.aborted) {
+        original = await addClarifyBubble(result, chatOf(side), signal);
+        if (original === null) return;
+        setStatus(side, cfg.translating);
+        result = await clarify(original, cfg.fromLang, cfg.toLang, gender);
+        updateQuota();
+        type = 'clarify';
+    }
+    // Left the mode while the request was running
+    if (signal.aborted) return;
+
+    // Listener reads the translation in their half; speaker sees it under their own words
+    const listenerMsg = addMessage(other(side), 'target', SIDES[other(side)].theySaid, result.translated, cfg.toLang, gender);
+    addMessage(side, 'target', cfg.translatedAs, result.translated, cfg.toLang, gender);
+
+    context.add(original, result.translated, cfg.fromLang);
+    saveEntry({ role: side, original, translated: result.translated, fromLang: cfg.fromLang, toLang: cfg.toLang, note: result.note, type, gender, sessionId });
+    logTranslation({ role: side, original, translated: result.translated, fromLang: cfg.fromLang, toLang: cfg.toLang, type, note: result.note });
+
+    if (isAutoPlayEnabled()) enqueue(playbackItem(listenerMsg, result.translated, cfg.toLang, gender));
+}
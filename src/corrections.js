@@ -0,0 +1,82 @@
+/**
+ * Translation corrections - user-fixed translations stored in localStorage
+ *
+ * A correction replaces the model output for the same source phrase (same
+ * direction and gender), and recent ones are added to the prompt as examples.
+ * Only corrections that pass the glossary check are stored here.
+ */
+
+import { normalizeText } from './cache.js';
+
+const CORRECTIONS_KEY = 'translation_corrections';
+const MAX_CORRECTIONS = 200;
+const PROMPT_EXAMPLES = 8;
+
+/**
+ * @typedef {Object} Correction
+ * @property {string} key - direction + gender + normalized source text
+ * @property {string} original
+ * @property {string} fromLang
+ * @property {string} toLang
+ * @property {string} gender
+ * @property {string} modelOutput - what the model translated it to
+ * @property {string} corrected
+ * @property {number} updatedAt
+ */
+
+function correctionKey(text, fromLang, toLang, gender) {
+    return [fromLang, toLang, gender, normalizeText(text)].join('|');
+}
+
+function load() {
+    try {
+        return JSON.parse(localStorage.getItem(CORRECTIONS_KEY)) || [];
+    } catch {
+        return [];
+    }
+}
+
+function save(list) {
+    localStorage.setItem(CORRECTIONS_KEY, JSON.stringify(list));
+}
+
+/**
+ * Store a correction, replacing any earlier one for the same source phrase
+ * @param {{ original: string, fromLang: string, toLang: string, gender: string, modelOutput: string, corrected: string }} correction
+ */
+export function saveCorrection({ original, fromLang, toLang, gender, modelOutput, corrected }) {
+    const key = correctionKey(original, fromLang, toLang, gender);
+    const list = load().filter((c) => c.key !== key);
+    // Newest first; the oldest ones fall off
+    list.unshift({ key, original, fromLang, toLang, gender, modelOutput, corrected: corrected.trim(), updatedAt: Date.now() });
+    save(list.slice(0, MAX_CORRECTIONS));
+}
+
+/**
+ * Look up the correction for a source phrase
+ * @returns {Correction | null}
+ */
+export function getCorrection(text, fromLang, toLang, gender) {
+    const key = correctionKey(text, fromLang, toLang, gender);
+    return load().find((c) => c.key === key) || null;
+}
+
+/**
+ * Forget the correction for a source phrase (e.g. it was rated 👎)
+ */
+export function removeCorrection(text, fromLang, toLang, gender) {
+    const key = correctionKey(text, fromLang, toLang, gender);
+    save(load().filter((c) => c.key !== key));
+}
+
+/**
+ * Format recent corrections for one direction as few-shot examples in the system prompt
+ * @returns {string} '' when there are none
+ */
+export function formatCorrectionsForPrompt(fromLang, toLang) {
+    const examples = load()
+        .filter((c) => c.fromLang === fromLang && c.toLang === toLang)
+        .slice(0, PROMPT_EXAMPLES);
+    if (examples.length === 0) return '';
+    return `\n使用者修正過的譯法（同類句子照此風格）：${examples.map((c) => `${c.original}=${c.corrected}`).join(',')}`;
+}
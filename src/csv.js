@@ -0,0 +1,71 @@
+/**
+ * Minimal CSV helpers (RFC 4180 quoting) shared by import/export features
+ */
+
+const BOM = '\uFEFF';
+
+function escapeCell(value) {
+    const s = value == null ? '' : String(value);
+    return `"${s.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Serialize rows to CSV text, with a UTF-8 BOM so Excel detects the encoding
+ * @param {string[]} header
+ * @param {Array<Array<string|number>>} rows
+ * @returns {string}
+ */
+export function toCsv(header, rows) {
+    const lines = [header, ...rows].map((row) => row.map(escapeCell).join(','));
+    return BOM + lines.join('\n');
+}
+
+/**
+ * Parse CSV text into an array of rows (handles quoted cells, "" escapes and newlines in quotes)
+ * @param {string} text
+ * @returns {string[][]}
+ */
+export function parseCsv(text) {
+    const src = text.startsWith(BOM) ? text.slice(1) : text;
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < src.length; i++) {
+        const ch = src[i];
+        if (inQuotes) {
+            if (ch === '"') {
+                if (src[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else {
+                    inQuotes = false;
+                }
+            } else {
+                cell += ch;
+            }
+        } else if (ch === '"') {
+            inQuotes = true;
+        } else if (ch === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && src[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += ch;
+        }
+    }
+
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    // Drop blank lines
+    return rows.filter((r) => r.some((c) => c.trim() !== ''));
+}
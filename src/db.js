@@ -0,0 +1,94 @@
+/**
+ * IndexedDB helper - one database for the app, object stores created by version
+ */
+
+const DB_NAME = 'zh-th-translator';
+const DB_VERSION = 4;
+
+let dbPromise = null;
+
+/**
+ * Create/upgrade object stores. Each version step only adds what it introduced,
+ * so devices upgrading from any older version end up with the same schema.
+ */
+function upgrade(db, oldVersion) {
+    if (oldVersion < 1) {
+        // Translation cache (see cache.js)
+        const store = db.createObjectStore('translations', { keyPath: 'key' });
+        store.createIndex('lastUsedAt', 'lastUsedAt');
+    }
+    if (oldVersion < 2) {
+        // Google Sheets logging outbox (see outbox.js, public/sw-outbox.js)
+        const store = db.createObjectStore('outbox', { keyPath: 'id' });
+        store.createIndex('createdAt', 'createdAt');
+    }
+    if (oldVersion < 3) {
+        // Translation history (see history.js)
+        const store = db.createObjectStore('history', { keyPath: 'id' });
+        store.createIndex('timestamp', 'timestamp');
+        store.createIndex('role', 'role');
+        store.createIndex('direction', 'direction');
+        store.createIndex('sessionId', 'sessionId');
+        store.createIndex('recordId', 'recordId');
+    }
+    if (oldVersion < 4) {
+        // Settings the service worker needs but can't read from localStorage (see outbox.js)
+        db.createObjectStore('settings', { keyPath: 'key' });
+    }
+}
+
+/**
+ * Open (once) and return the database
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openDb() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('此瀏覽器不支援 IndexedDB'));
+                return;
+            }
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = (e) => upgrade(request.result, e.oldVersion);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        // Allow retrying later if opening failed
+        dbPromise.catch(() => { dbPromise = null; });
+    }
+    return dbPromise;
+}
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @returns {Promise<any>}
+ */
+export function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Run `fn(store)` in a transaction and resolve with its result once the transaction completes
+ * @param {string} storeName
+ * @param {IDBTransactionMode} mode
+ * @param {(store: IDBObjectStore) => any} fn
+ */
+export async function withStore(storeName, mode, fn) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, mode);
+        let result;
+        Promise.resolve(fn(tx.objectStore(storeName)))
+            .then((r) => { result = r; })
+            .catch((err) => {
+                try { tx.abort(); } catch { /* already finished */ }
+                reject(err);
+            });
+        tx.oncomplete = () => resolve(result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error('交易已中止'));
+    });
+}
@@ -0,0 +1,271 @@
+/**
+ * History exporter - CSV, XLSX, JSON, TMX and a printable bilingual A4 sheet
+ *
+ * All formats take the already-filtered entry list, so exports match
+ * whatever the history screen is currently showing. The CSV and JSON
+ * exports can be read back with parseHistoryImport; XLSX has the same columns as CSV.
+ * Corrected translations are exported in place of the model output; TMX and
+ * print leave out translations rated 👎 that were never corrected.
+ */
+
+import { toCsv, parseCsv } from './csv.js';
+import { toXlsx } from './xlsx.js';
+
+const ROLE_LABELS = { supervisor: '主管', worker: '員工' };
+const CSV_HEADER = ['時間', '角色', '方向', '原文', '譯文', '類型', '備註', '對話ID', '模型譯文', '評價', 'ID'];
+// Headers of older exports: before entry ids, and before corrections (no model output / feedback columns)
+const CSV_HEADER_V2 = CSV_HEADER.slice(0, 10);
+const CSV_HEADER_V1 = CSV_HEADER.slice(0, 8);
+const FEEDBACK_LABELS = { up: '👍', down: '👎' };
+const LANGS = ['zh-TW', 'th-TH'];
+const TYPE_LABELS = {
+    translate: '直接翻譯',
+    clarify: '澄清後翻譯',
+    enforce: '術語重譯',
+    offline: '離線比對',
+    favorite: '常用語',
+};
+
+export const EXPORT_FORMATS = {
+    csv: { label: 'CSV', ext: 'csv', mime: 'text/csv;charset=utf-8' },
+    xlsx: { label: 'Excel', ext: 'xlsx', mime: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+    json: { label: 'JSON', ext: 'json', mime: 'application/json' },
+    tmx: { label: 'TMX', ext: 'tmx', mime: 'application/x-tmx+xml' },
+};
+
+// The user's correction wins over the model output everywhere a translation is reused
+function finalTranslation(e) {
+    return e.corrected || e.translated;
+}
+
+// 👎 without a correction: no usable translation for a translation memory or a printed sheet
+function isRejected(e) {
+    return e.feedback === 'down' && !e.corrected;
+}
+
+function zhThPair(e) {
+    return e.fromLang === 'zh-TW'
+        ? { zh: e.original, th: finalTranslation(e) }
+        : { zh: finalTranslation(e), th: e.original };
+}
+
+// One row per entry, shared by CSV and XLSX
+function tableRows(entries) {
+    return entries.map((e) => [
+        new Date(e.timestamp).toISOString(),
+        ROLE_LABELS[e.role] || e.role,
+        `${e.fromLang}→${e.toLang}`,
+        e.original,
+        finalTranslation(e),
+        TYPE_LABELS[e.type || 'translate'] || e.type,
+        e.note || '',
+        e.sessionId || '',
+        // Model output only when it was corrected, so the column stays empty otherwise
+        e.corrected ? e.translated : '',
+        FEEDBACK_LABELS[e.feedback] || '',
+        // Lets a re-import recognize entries that are already stored
+        e.id || '',
+    ]);
+}
+
+function toJsonBody(entries) {
+    // Drop the derived search field; keep everything else
+    const clean = entries.map(({ searchText, ...e }) => ({ ...e, time: new Date(e.timestamp).toISOString() }));
+    return JSON.stringify({ exportedAt: new Date().toISOString(), count: clean.length, entries: clean }, null, 2);
+}
+
+function escXml(str) {
+    return String(str ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// TMX dates are basic ISO 8601 in UTC: 20250105T140300Z
+function tmxDate(ts) {
+    return new Date(ts).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function tmxNotes(e) {
+    const notes = [];
+    if (e.note) notes.push(e.note);
+    if (e.corrected) notes.push(`模型譯文：${e.translated}`);
+    return notes.map((n) => `
+      <note>${escXml(n)}</note>`).join('');
+}
+
+function toTmxBody(entries) {
+    const units = entries.filter((e) => !isRejected(e)).map((e) => `    <tu tuid="${escXml(e.id)}" srclang="${e.fromLang}" creationdate="${tmxDate(e.timestamp)}">
+      <prop type="x-role">${escXml(e.role)}</prop>${e.feedback ? `
+      <prop type="x-feedback">${escXml(e.feedback)}</prop>` : ''}${tmxNotes(e)}
+      <tuv xml:lang="${e.fromLang}"><seg>${escXml(e.original)}</seg></tuv>
+      <tuv xml:lang="${e.toLang}"><seg>${escXml(finalTranslation(e))}</seg></tuv>
+    </tu>`);
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<tmx version="1.4">
+  <header creationtool="tw-thai-translator" creationtoolversion="1.0" segtype="sentence"
+    o-tmf="history" adminlang="zh-TW" srclang="*all*" datatype="plaintext" creationdate="${tmxDate(Date.now())}"/>
+  <body>
+${units.join('\n')}
+  </body>
+</tmx>
+`;
+}
+
+/**
+ * Serialize entries to a downloadable file
+ * @param {import('./history.js').HistoryEntry[]} entries
+ * @param {'csv' | 'xlsx' | 'json' | 'tmx'} format
+ * @returns {{ content: string | Uint8Array, filename: string, type: string }}
+ */
+export function exportEntries(entries, format) {
+    const spec = EXPORT_FORMATS[format];
+    if (!spec) throw new Error(`不支援的格式：${format}`);
+    const bodies = {
+        csv: () => toCsv(CSV_HEADER, tableRows(entries)),
+        xlsx: () => toXlsx(CSV_HEADER, tableRows(entries), '翻譯紀錄'),
+        json: () => toJsonBody(entries),
+        tmx: () => toTmxBody(entries),
+    };
+    const body = bodies[format]();
+    return {
+        content: body,
+        filename: `翻譯紀錄_${new Date().toISOString().slice(0, 10)}.${spec.ext}`,
+        type: spec.mime,
+    };
+}
+
+/**
+ * Print entries as a bilingual A4 sheet (Chinese | Thai), e.g. safety instructions for the floor.
+ * Uses a hidden iframe so it works in the installed PWA without pop-ups.
+ * @param {import('./history.js').HistoryEntry[]} entries
+ * @param {string} [title]
+ */
+export function printEntries(entries, title = '翻譯對照表 · ตารางคำแปล') {
+    const rows = entries.filter((e) => !isRejected(e)).map((e) => {
+        const { zh, th } = zhThPair(e);
+        return `<tr><td class="zh">${escXml(zh)}</td><td class="th">${escXml(th)}</td></tr>`;
+    }).join('');
+
+    const html = `<!DOCTYPE html>
+<html lang="zh-TW">
+<head>
+<meta charset="UTF-8">
+<title>${escXml(title)}</title>
+<style>
+  @page { size: A4; margin: 15mm; }
+  body { font-family: 'Noto Sans TC', 'Noto Sans Thai', sans-serif; color: #000; }
+  h1 { font-size: 20pt; margin: 0 0 4mm; }
+  .date { font-size: 10pt; color: #555; margin-bottom: 6mm; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { border: 1px solid #333; padding: 4mm; vertical-align: top; width: 50%; }
+  th { background: #eee; font-size: 12pt; }
+  td { font-size: 16pt; line-height: 1.5; }
+  tr { page-break-inside: avoid; }
+</style>
+</head>
+<body>
+  <h1>${escXml(title)}</h1>
+  <div class="date">${new Date().toLocaleDateString('zh-TW')}</div>
+  <table>
+    <thead><tr><th>中文</th><th>ภาษาไทย</th></tr></thead>
+    <tbody>${rows}</tbody>
+  </table>
+</body>
+</html>`;
+
+    const frame = document.createElement('iframe');
+    frame.style.cssText = 'position:fixed;width:0;height:0;border:0;';
+    document.body.appendChild(frame);
+    frame.contentDocument.open();
+    frame.contentDocument.write(html);
+    frame.contentDocument.close();
+    // Let fonts load before opening the print dialog
+    setTimeout(() => {
+        frame.contentWindow.focus();
+        frame.contentWindow.print();
+        setTimeout(() => frame.remove(), 1000);
+    }, 300);
+}
+
+// ===== IMPORT =====
+
+function keyForLabel(labels, value) {
+    if (labels[value]) return value;
+    return Object.keys(labels).find((k) => labels[k] === value);
+}
+
+function csvRowToEntry([time, role, direction, original, translated, type, note, sessionId, modelOutput, feedback, id]) {
+    const [fromLang, toLang] = String(direction || '').split('→');
+    return {
+        timestamp: Date.parse(time),
+        role: keyForLabel(ROLE_LABELS, role),
+        fromLang,
+        toLang,
+        original,
+        // 譯文 holds the correction when 模型譯文 is filled
+        translated: modelOutput || translated,
+        corrected: modelOutput ? translated : undefined,
+        type: keyForLabel(TYPE_LABELS, type),
+        note,
+        sessionId,
+        feedback: keyForLabel(FEEDBACK_LABELS, feedback),
+        id,
+    };
+}
+
+/**
+ * Check and clean one imported entry
+ * @returns {import('./history.js').HistoryEntry | null} null if the entry is unusable
+ */
+function validateEntry(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    const timestamp = typeof raw.timestamp === 'number' ? raw.timestamp : Date.parse(raw.time);
+    const original = typeof raw.original === 'string' ? raw.original.trim() : '';
+    const translated = typeof raw.translated === 'string' ? raw.translated.trim() : '';
+    if (!Number.isFinite(timestamp) || !original || !translated) return null;
+    if (!ROLE_LABELS[raw.role]) return null;
+    if (!LANGS.includes(raw.fromLang) || !LANGS.includes(raw.toLang) || raw.fromLang === raw.toLang) return null;
+
+    const entry = { timestamp, role: raw.role, original, translated, fromLang: raw.fromLang, toLang: raw.toLang };
+    if (typeof raw.id === 'string' && raw.id) entry.id = raw.id;
+    if (TYPE_LABELS[raw.type]) entry.type = raw.type;
+    if (raw.note) entry.note = String(raw.note);
+    if (raw.sessionId) entry.sessionId = String(raw.sessionId);
+    if (raw.recordId) entry.recordId = String(raw.recordId);
+    if (raw.verified === true) entry.verified = true;
+    if (typeof raw.corrected === 'string' && raw.corrected.trim()) entry.corrected = raw.corrected.trim();
+    if (raw.feedback === 'up' || raw.feedback === 'down') entry.feedback = raw.feedback;
+    if (raw.gender === 'male' || raw.gender === 'female') entry.gender = raw.gender;
+    if (typeof raw.backTranslation === 'string') entry.backTranslation = raw.backTranslation;
+    if (Number.isFinite(raw.confidence)) entry.confidence = raw.confidence;
+    if (raw.offline === true || entry.type === 'offline') entry.offline = true;
+    return entry;
+}
+
+/**
+ * Parse a history file produced by the CSV or JSON export
+ * @param {string} text
+ * @param {'csv' | 'json'} format
+ * @returns {{ entries: import('./history.js').HistoryEntry[], invalid: number }}
+ */
+export function parseHistoryImport(text, format) {
+    let raw;
+    if (format === 'json') {
+        const data = JSON.parse(text);
+        raw = Array.isArray(data) ? data : data.entries;
+        if (!Array.isArray(raw)) throw new Error('JSON 格式錯誤：找不到 entries');
+    } else {
+        const rows = parseCsv(text).filter((row) => row.some((cell) => cell !== ''));
+        const header = rows.length ? rows[0].join() : '';
+        if (![CSV_HEADER, CSV_HEADER_V2, CSV_HEADER_V1].some((h) => header === h.join())) {
+            throw new Error('CSV 欄位不符，請使用本 App 匯出的檔案');
+        }
+        raw = rows.slice(1).map(csvRowToEntry);
+    }
+
+    const entries = raw.map(validateEntry).filter(Boolean);
+    if (entries.length === 0) throw new Error('檔案中沒有有效的紀錄');
+    return { entries, invalid: raw.length - entries.length };
+}
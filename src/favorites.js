@@ -0,0 +1,220 @@
+/**
+ * Quick phrases & favorites - per-role phrase bar stored in localStorage
+ *
+ * Starring a translation adds it to the speaker's phrase bar together with its
+ * translation, so tapping it later plays instantly without calling the model.
+ * Custom phrases added without a translation get one on first use.
+ */
+
+import { BUNDLED_PHRASES } from './phrasebook.js';
+
+const PHRASES_KEY = 'quick_phrases';
+
+export const PHRASE_CATEGORIES = {
+    safety: '安全',
+    production: '生產',
+    breaks: '休息',
+    general: '其他',
+};
+
+export const ROLE_LANGS = {
+    supervisor: { fromLang: 'zh-TW', toLang: 'th-TH' },
+    worker: { fromLang: 'th-TH', toLang: 'zh-TW' },
+};
+
+/**
+ * @typedef {Object} QuickPhrase
+ * @property {string} id
+ * @property {string} text - in the role's own language
+ * @property {string} translated - '' until translated once
+ * @property {string} category - key of PHRASE_CATEGORIES
+ */
+
+// Seed bar (was the hard-coded QUICK_PHRASES list in app.js)
+const DEFAULT_PHRASES = {
+    supervisor: [
+        ['戴安全帽', 'safety'], ['小心燙', 'safety'], ['注意安全', 'safety'],
+        ['停機', 'production'], ['開機', 'production'], ['快一點', 'production'],
+        ['這個不對', 'production'], ['再做一次', 'production'], ['很好', 'production'],
+        ['休息', 'breaks'], ['加班', 'breaks'], ['下班', 'breaks'],
+    ],
+    worker: [
+        ['ช่วยด้วย', 'safety'], ['เครื่องเสีย', 'safety'],
+        ['เสร็จแล้ว', 'production'], ['มีปัญหา', 'production'], ['ต้องการอะไหล่', 'production'], ['ทำไม่ได้', 'production'],
+        ['ขอพัก', 'breaks'],
+        ['เข้าใจแล้ว', 'general'], ['ไม่เข้าใจ', 'general'], ['รับทราบ', 'general'], ['รอสักครู่', 'general'], ['ขอบคุณ', 'general'],
+    ],
+};
+
+function newId() {
+    return Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+}
+
+function bundledTranslation(text, role) {
+    const pair = BUNDLED_PHRASES.find(([zh, th]) => (role === 'supervisor' ? zh : th) === text);
+    if (!pair) return '';
+    return role === 'supervisor' ? pair[1] : pair[0];
+}
+
+function defaultPhrases() {
+    const result = {};
+    for (const [role, list] of Object.entries(DEFAULT_PHRASES)) {
+        // Stable ids, so a phrase can be found again before the bar is first saved
+        result[role] = list.map(([text, category], i) => ({
+            id: `default-${role}-${i}`,
+            text,
+            translated: bundledTranslation(text, role),
+            category,
+        }));
+    }
+    return result;
+}
+
+function save(all) {
+    localStorage.setItem(PHRASES_KEY, JSON.stringify(all));
+}
+
+function load() {
+    try {
+        const raw = localStorage.getItem(PHRASES_KEY);
+        if (raw) return JSON.parse(raw);
+    } catch {
+        // Corrupt data: fall back to the defaults below
+    }
+    const defaults = defaultPhrases();
+    save(defaults);
+    return defaults;
+}
+
+function normalizeCategory(cat) {
+    return PHRASE_CATEGORIES[cat] ? cat : 'general';
+}
+
+/**
+ * Which role's bar a phrase in this language belongs to
+ * @param {'zh-TW' | 'th-TH'} lang
+ */
+export function roleForLang(lang) {
+    return lang === 'zh-TW' ? 'supervisor' : 'worker';
+}
+
+/**
+ * Get a role's phrases, in bar order
+ * @param {'supervisor' | 'worker'} role
+ * @returns {QuickPhrase[]}
+ */
+export function getPhrases(role) {
+    return load()[role] || [];
+}
+
+/**
+ * Add a phrase, or update it if the same text already exists
+ * @param {'supervisor' | 'worker'} role
+ * @param {{ text: string, translated?: string, category?: string }} phrase
+ */
+export function addPhrase(role, { text, translated = '', category }) {
+    const all = load();
+    const list = all[role] || (all[role] = []);
+    const existing = list.find((p) => p.text === text.trim());
+    if (existing) {
+        if (translated) existing.translated = translated.trim();
+        if (category) existing.category = normalizeCategory(category);
+    } else {
+        list.push({ id: newId(), text: text.trim(), translated: translated.trim(), category: normalizeCategory(category) });
+    }
+    save(all);
+}
+
+/**
+ * Update a phrase by id
+ * @param {'supervisor' | 'worker'} role
+ * @param {string} id
+ * @param {Partial<Omit<QuickPhrase, 'id'>>} changes
+ */
+export function updatePhrase(role, id, changes) {
+    const all = load();
+    const phrase = (all[role] || []).find((p) => p.id === id);
+    if (!phrase) return;
+    if (changes.text != null) phrase.text = changes.text.trim();
+    if (changes.translated != null) phrase.translated = changes.translated.trim();
+    if (changes.category != null) phrase.category = normalizeCategory(changes.category);
+    save(all);
+}
+
+/**
+ * Delete a phrase by id
+ */
+export function deletePhrase(role, id) {
+    const all = load();
+    all[role] = (all[role] || []).filter((p) => p.id !== id);
+    save(all);
+}
+
+/**
+ * Move a phrase up (-1) or down (+1) in the bar
+ */
+export function movePhrase(role, id, delta) {
+    const all = load();
+    const list = all[role] || [];
+    const from = list.findIndex((p) => p.id === id);
+    const to = from + delta;
+    if (from < 0 || to < 0 || to >= list.length) return;
+    [list[from], list[to]] = [list[to], list[from]];
+    save(all);
+}
+
+/**
+ * Restore a role's built-in phrase list
+ */
+export function resetPhrases(role) {
+    const all = load();
+    all[role] = defaultPhrases()[role];
+    save(all);
+}
+
+/**
+ * Snapshot of both phrase bars for checking many entries at once (isFavorite reads storage on every call)
+ * @returns {(text: string, fromLang: 'zh-TW' | 'th-TH') => boolean}
+ */
+export function favoriteChecker() {
+    const all = load();
+    const texts = {};
+    for (const lang of ['zh-TW', 'th-TH']) {
+        texts[lang] = new Set((all[roleForLang(lang)] || []).map((p) => p.text));
+    }
+    return (text, fromLang) => !!texts[fromLang]?.has(text.trim());
+}
+
+/**
+ * Whether a source text is starred
+ * @param {string} text
+ * @param {'zh-TW' | 'th-TH'} fromLang
+ */
+export function isFavorite(text, fromLang) {
+    return getPhrases(roleForLang(fromLang)).some((p) => p.text === text.trim());
+}
+
+/**
+ * Star or unstar a translation
+ * @param {{ original: string, translated: string, fromLang: 'zh-TW' | 'th-TH' }} entry
+ * @returns {boolean} whether it is starred now
+ */
+export function toggleFavorite({ original, translated, fromLang }) {
+    const role = roleForLang(fromLang);
+    const existing = getPhrases(role).find((p) => p.text === original.trim());
+    if (existing) {
+        deletePhrase(role, existing.id);
+        return false;
+    }
+    addPhrase(role, { text: original, translated, category: 'general' });
+    return true;
+}
+
+/**
+ * Store the first translation of a custom phrase that was added without one
+ */
+export function rememberTranslation(original, translated, fromLang) {
+    const role = roleForLang(fromLang);
+    const phrase = getPhrases(role).find((p) => p.text === original.trim());
+    if (phrase && !phrase.translated) updatePhrase(role, phrase.id, { translated });
+}
@@ -6,8 +6,11 @@
  * to keep responses fast (~2s) and correct.
  */
 
-const GEMINI_API_URL =
-    'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent';
+import { extractJSON, historyPairs, buildSystemPrompt, buildClarifyPrompt } from './prompt.js';
+
+const GEMINI_API_BASE = 'https://generativelanguage.googleapis.com/v1beta/models';
+const DEFAULT_MODEL = 'gemini-2.5-flash';
+const MODEL_KEY = 'gemini_model';
 
 // Build time key from env var (injected by GitHub Actions secret)
 const BUILT_IN_KEY = import.meta.env.VITE_GEMINI_API_KEY || '';
@@ -26,6 +29,28 @@ export function setApiKey(key) {
     localStorage.setItem('gemini_api_key', key);
 }
 
+/**
+ * Get the Gemini model name (localStorage override > default)
+ */
+export function getModel() {
+    return localStorage.getItem(MODEL_KEY) || DEFAULT_MODEL;
+}
+
+/**
+ * Save the Gemini model name (empty = default)
+ */
+export function setModel(model) {
+    if (model) {
+        localStorage.setItem(MODEL_KEY, model.trim());
+    } else {
+        localStorage.removeItem(MODEL_KEY);
+    }
+}
+
+function generateUrl(apiKey) {
+    return `${GEMINI_API_BASE}/${getModel()}:generateContent?key=${apiKey}`;
+}
+
 /**
  * Fetch with retry + exponential backoff for 429 errors
  */
@@ -60,40 +85,16 @@ async function fetchWithRetry(url, options, maxRetries = 3) {
 }
 
 /**
- * Extract JSON from model response text (may be wrapped in ```json code fence)
- */
-function extractJSON(text) {
-    // Try direct parse first
-    try {
-        return JSON.parse(text);
-    } catch { /* continue */ }
-
-    // Try extracting from ```json ... ``` code fence
-    const fenceMatch = text.match(/```(?:json)?\s*([\s\S]*?)```/);
-    if (fenceMatch) {
-        return JSON.parse(fenceMatch[1].trim());
-    }
-
-    throw new Error('無法解析回傳的 JSON');
-}
-
-/**
- * Build the system prompt for translation
+ * Convert context turns to Gemini `contents` entries (user said → model answered)
  */
-function buildSystemPrompt(fromLang, toLang, gender = 'male') {
-    const fromName = fromLang === 'zh-TW' ? '中文' : 'ไทย';
-    const toName = toLang === 'zh-TW' ? '中文' : 'ไทย';
-    const genderHint = gender === 'female'
-        ? '說話者是女性，泰文句尾用ค่ะ(陳述)/คะ(疑問)，不要用ครับ。'
-        : '說話者是男性，泰文句尾用ครับ，不要用ค่ะ/คะ。';
-
-    return `工廠翻譯助手。${fromName}→${toName}。口語化翻譯。${genderHint}
-術語表：安全帽=หมวกนิรภัย,手套=ถุงมือ,護目鏡=แว่นตานิรภัย,停機=หยุดเครื่อง,開機=เปิดเครื่อง,模具=แม่พิมพ์,良品=ของดี,不良品=ของเสีย,品檢=QC,加班=OT/ทำโอที,上班=เข้างาน,下班=เลิกงาน,倉庫=คลังสินค้า,出貨=ส่งของ,原料=วัตถุดิบ,組裝=ประกอบ,焊接=เชื่อม,研磨=เจียร,沖壓=ปั๊ม
-若語意模糊（代詞不明、動作不具體如「弄一下」「那個」），用clarify格式反問。
-若語意清晰，用translate格式直接翻譯。
-只回JSON，不要markdown或code fence：
-清晰：{"type":"translate","original":"原文","translated":"譯文"}
-模糊：{"type":"clarify","question_source":"${fromName}問題","question_target":"${toName}問題","options":[{"source":"選項${fromName}","target":"選項${toName}","value":"明確句子"}]}`;
+function buildHistoryContents(history, fromLang) {
+    return historyPairs(history, fromLang).flatMap(({ original, translated }) => [
+        { role: 'user', parts: [{ text: original }] },
+        {
+            role: 'model',
+            parts: [{ text: JSON.stringify({ type: 'translate', original, translated }) }],
+        },
+    ]);
 }
 
 /**
@@ -101,17 +102,21 @@ function buildSystemPrompt(fromLang, toLang, gender = 'male') {
  * @param {string} text - Input text to analyze/translate
  * @param {'zh-TW' | 'th-TH'} fromLang
  * @param {'zh-TW' | 'th-TH'} toLang
+ * @param {'male' | 'female'} [gender]
+ * @param {Object} [options]
+ * @param {Array<{original: string, translated: string, fromLang?: string}>} [options.history] - earlier turns of this conversation, oldest first
+ * @param {boolean} [options.detectLanguage] - let the model identify the source language; result gets `lang`
  * @returns {Promise<Object>} result with type 'translate' or 'clarify'
  */
-export async function analyzeAndTranslate(text, fromLang, toLang, gender = 'male') {
+export async function analyzeAndTranslate(text, fromLang, toLang, gender = 'male', options = {}) {
     const apiKey = getApiKey();
     if (!apiKey) {
         throw new Error('請先設定 Gemini API Key');
     }
 
-    const systemPrompt = buildSystemPrompt(fromLang, toLang, gender);
+    const systemPrompt = buildSystemPrompt(fromLang, toLang, gender, options.detectLanguage);
 
-    const response = await fetchWithRetry(`${GEMINI_API_URL}?key=${apiKey}`, {
+    const response = await fetchWithRetry(generateUrl(apiKey), {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
@@ -119,6 +124,7 @@ export async function analyzeAndTranslate(text, fromLang, toLang, gender = 'male
                 parts: [{ text: systemPrompt }],
             },
             contents: [
+                ...buildHistoryContents(options.history, fromLang),
                 {
                     role: 'user',
                     parts: [{ text }],
@@ -165,21 +171,20 @@ export async function analyzeAndTranslate(text, fromLang, toLang, gender = 'male
  * @param {string} clarifiedText - The clarified intent
  * @param {'zh-TW' | 'th-TH'} fromLang
  * @param {'zh-TW' | 'th-TH'} toLang
+ * @param {'male' | 'female'} [gender]
+ * @param {Object} [options]
+ * @param {Array<{zh: string, th: string}>} [options.requiredTerms] - glossary terms to enforce
  * @returns {Promise<Object>}
  */
-export async function translateClarified(clarifiedText, fromLang, toLang, gender = 'male') {
+export async function translateClarified(clarifiedText, fromLang, toLang, gender = 'male', options = {}) {
     const apiKey = getApiKey();
     if (!apiKey) {
         throw new Error('請先設定 Gemini API Key');
     }
 
-    const fromName = fromLang === 'zh-TW' ? '中文' : 'ไทย';
-    const toName = toLang === 'zh-TW' ? '中文' : 'ไทย';
-    const genderNote = gender === 'female' ? '，句尾用ค่ะ/คะ' : '，句尾用ครับ';
-
-    const prompt = `${fromName}→${toName}口語翻譯${genderNote}，只回JSON不要markdown：{"type":"translate","original":"原文","translated":"譯文"}：${clarifiedText}`;
+    const prompt = buildClarifyPrompt(clarifiedText, fromLang, toLang, gender, options.requiredTerms);
 
-    const response = await fetchWithRetry(`${GEMINI_API_URL}?key=${apiKey}`, {
+    const response = await fetchWithRetry(generateUrl(apiKey), {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
@@ -224,3 +229,21 @@ export async function translateClarified(clarifiedText, fromLang, toLang, gender
         };
     }
 }
+
+/**
+ * Check that the API key works and the model exists
+ * @returns {Promise<{ ok: boolean, message: string }>}
+ */
+export async function checkHealth() {
+    const apiKey = getApiKey();
+    if (!apiKey) return { ok: false, message: '尚未設定 API Key' };
+    try {
+        const response = await fetch(`${GEMINI_API_BASE}/${getModel()}?key=${apiKey}`);
+        if (response.ok) return { ok: true, message: `${getModel()} 可用` };
+        if (response.status === 403 || response.status === 400) return { ok: false, message: 'API Key 無效或已過期' };
+        if (response.status === 404) return { ok: false, message: `找不到模型 ${getModel()}` };
+        return { ok: false, message: `Gemini API 錯誤 (${response.status})` };
+    } catch (err) {
+        return { ok: false, message: `網路連線失敗：${err.message}` };
+    }
+}
@@ -0,0 +1,278 @@
+/**
+ * Factory glossary - editable zh-TW ↔ th-TH term pairs stored in localStorage
+ *
+ * The glossary is versioned: every change bumps `version`, so a supervisor can
+ * tell whether a phone has the latest list after handing out an export file.
+ */
+
+import { toCsv, parseCsv } from './csv.js';
+
+const GLOSSARY_KEY = 'factory_glossary';
+
+export const CATEGORIES = {
+    safety: '安全',
+    machines: '機台',
+    qc: '品管',
+    hr: '人事',
+    general: '其他',
+};
+
+/**
+ * @typedef {Object} GlossaryTerm
+ * @property {string} id
+ * @property {string} zh
+ * @property {string} th
+ * @property {string} category - key of CATEGORIES
+ */
+
+/**
+ * @typedef {Object} Glossary
+ * @property {number} version
+ * @property {number} updatedAt
+ * @property {GlossaryTerm[]} terms
+ */
+
+// Seed list (was hard-coded in the system prompt)
+const DEFAULT_TERMS = [
+    ['安全帽', 'หมวกนิรภัย', 'safety'],
+    ['手套', 'ถุงมือ', 'safety'],
+    ['護目鏡', 'แว่นตานิรภัย', 'safety'],
+    ['停機', 'หยุดเครื่อง', 'machines'],
+    ['開機', 'เปิดเครื่อง', 'machines'],
+    ['模具', 'แม่พิมพ์', 'machines'],
+    ['組裝', 'ประกอบ', 'machines'],
+    ['焊接', 'เชื่อม', 'machines'],
+    ['研磨', 'เจียร', 'machines'],
+    ['沖壓', 'ปั๊ม', 'machines'],
+    ['良品', 'ของดี', 'qc'],
+    ['不良品', 'ของเสีย', 'qc'],
+    ['品檢', 'QC', 'qc'],
+    ['加班', 'OT/ทำโอที', 'hr'],
+    ['上班', 'เข้างาน', 'hr'],
+    ['下班', 'เลิกงาน', 'hr'],
+    ['倉庫', 'คลังสินค้า', 'general'],
+    ['出貨', 'ส่งของ', 'general'],
+    ['原料', 'วัตถุดิบ', 'general'],
+];
+
+function newId() {
+    return Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+}
+
+function defaultGlossary() {
+    return {
+        version: 1,
+        updatedAt: Date.now(),
+        // Stable ids, so built-in terms can be edited or deleted before the first save
+        terms: DEFAULT_TERMS.map(([zh, th, category], i) => ({ id: `default-${i}`, zh, th, category })),
+    };
+}
+
+function load() {
+    try {
+        const raw = localStorage.getItem(GLOSSARY_KEY);
+        if (raw) return JSON.parse(raw);
+    } catch {
+        // Corrupt data: fall back to the defaults below
+    }
+    // Persist the seed list as version 1 without bumping it
+    const glossary = defaultGlossary();
+    localStorage.setItem(GLOSSARY_KEY, JSON.stringify(glossary));
+    return glossary;
+}
+
+function save(glossary) {
+    glossary.version = (glossary.version || 0) + 1;
+    glossary.updatedAt = Date.now();
+    localStorage.setItem(GLOSSARY_KEY, JSON.stringify(glossary));
+}
+
+function normalizeCategory(cat) {
+    const key = (cat || '').trim().toLowerCase();
+    if (CATEGORIES[key]) return key;
+    // Accept the Chinese label as well (e.g. from a hand-edited CSV)
+    const byLabel = Object.keys(CATEGORIES).find((k) => CATEGORIES[k] === (cat || '').trim());
+    return byLabel || 'general';
+}
+
+/**
+ * Get the full glossary (terms + version info)
+ * @returns {Glossary}
+ */
+export function getGlossary() {
+    return load();
+}
+
+/**
+ * Get all terms
+ * @returns {GlossaryTerm[]}
+ */
+export function getTerms() {
+    return load().terms;
+}
+
+/**
+ * Add a term, or update the translation if the Chinese term already exists
+ * @param {Omit<GlossaryTerm, 'id'>} term
+ */
+export function addTerm({ zh, th, category }) {
+    const glossary = load();
+    const existing = glossary.terms.find((t) => t.zh === zh.trim());
+    if (existing) {
+        existing.th = th.trim();
+        existing.category = normalizeCategory(category);
+    } else {
+        glossary.terms.push({
+            id: newId(),
+            zh: zh.trim(),
+            th: th.trim(),
+            category: normalizeCategory(category),
+        });
+    }
+    save(glossary);
+}
+
+/**
+ * Update an existing term by id
+ * @param {string} id
+ * @param {Partial<Omit<GlossaryTerm, 'id'>>} changes
+ */
+export function updateTerm(id, changes) {
+    const glossary = load();
+    const term = glossary.terms.find((t) => t.id === id);
+    if (!term) return;
+    if (changes.zh != null) term.zh = changes.zh.trim();
+    if (changes.th != null) term.th = changes.th.trim();
+    if (changes.category != null) term.category = normalizeCategory(changes.category);
+    save(glossary);
+}
+
+/**
+ * Delete a term by id
+ */
+export function deleteTerm(id) {
+    const glossary = load();
+    const terms = glossary.terms.filter((t) => t.id !== id);
+    if (terms.length === glossary.terms.length) return;
+    glossary.terms = terms;
+    save(glossary);
+}
+
+/**
+ * Restore the built-in default term list
+ */
+export function resetGlossary() {
+    const glossary = defaultGlossary();
+    glossary.version = load().version;
+    save(glossary);
+}
+
+/**
+ * Format the glossary for the translation system prompt
+ * @returns {string} e.g. "安全帽=หมวกนิรภัย,手套=ถุงมือ"
+ */
+export function formatGlossaryForPrompt() {
+    return getTerms()
+        .filter((t) => t.zh && t.th)
+        .map((t) => `${t.zh}=${t.th}`)
+        .join(',');
+}
+
+/**
+ * Check a translation against the glossary
+ *
+ * For every term whose source-side text appears in the original, the
+ * target-side text must appear in the translation. Thai entries may list
+ * alternatives separated by "/" (e.g. "OT/ทำโอที"); any one of them counts.
+ * @param {string} original
+ * @param {string} translated
+ * @param {'zh-TW' | 'th-TH'} fromLang
+ * @returns {{ matched: GlossaryTerm[], violations: GlossaryTerm[] }} terms found in the original, and those whose expected translation is missing
+ */
+export function checkTerms(original, translated, fromLang) {
+    if (!original || !translated) return { matched: [], violations: [] };
+    const fromZh = fromLang === 'zh-TW';
+    const target = translated.toLowerCase();
+    const forms = (str) => str.split('/').map((f) => f.trim()).filter(Boolean);
+
+    // Match longer terms first and blank them out, so 良品 isn't flagged inside 不良品
+    const terms = getTerms()
+        .filter((t) => t.zh && t.th)
+        .map((t) => ({ term: t, source: fromZh ? [t.zh] : forms(t.th), expected: fromZh ? forms(t.th) : [t.zh] }))
+        .sort((a, b) => Math.max(...b.source.map((f) => f.length)) - Math.max(...a.source.map((f) => f.length)));
+
+    let remaining = original;
+    const matched = [];
+    const violations = [];
+    for (const { term, source, expected } of terms) {
+        const found = source.filter((f) => remaining.includes(f));
+        if (found.length === 0) continue;
+        found.forEach((f) => { remaining = remaining.split(f).join('\u0000'); });
+        matched.push(term);
+        if (!expected.some((f) => target.includes(f.toLowerCase()))) {
+            violations.push(term);
+        }
+    }
+    return { matched, violations };
+}
+
+/**
+ * Terms whose expected translation is missing (see checkTerms)
+ * @returns {GlossaryTerm[]}
+ */
+export function findTermViolations(original, translated, fromLang) {
+    return checkTerms(original, translated, fromLang).violations;
+}
+
+/**
+ * Export glossary as a file body
+ * @param {'csv' | 'json'} format
+ * @returns {string}
+ */
+export function exportGlossary(format) {
+    const glossary = load();
+    if (format === 'json') {
+        return JSON.stringify(glossary, null, 2);
+    }
+    return toCsv(
+        ['中文', 'ไทย', 'category'],
+        glossary.terms.map((t) => [t.zh, t.th, t.category])
+    );
+}
+
+/**
+ * Import glossary from CSV or JSON text, replacing the current list
+ * @param {string} text
+ * @param {'csv' | 'json'} format
+ * @returns {number} number of imported terms
+ */
+export function importGlossary(text, format) {
+    let terms;
+    if (format === 'json') {
+        const data = JSON.parse(text);
+        const list = Array.isArray(data) ? data : data.terms;
+        if (!Array.isArray(list)) throw new Error('JSON 格式錯誤：找不到 terms');
+        terms = list;
+    } else {
+        const rows = parseCsv(text);
+        // Skip header row if present
+        if (rows.length && rows[0][0] === '中文') rows.shift();
+        terms = rows.map(([zh, th, category]) => ({ zh, th, category }));
+    }
+
+    const cleaned = terms
+        .filter((t) => t && t.zh && t.th)
+        .map((t) => ({
+            id: newId(),
+            zh: String(t.zh).trim(),
+            th: String(t.th).trim(),
+            category: normalizeCategory(t.category),
+        }));
+
+    if (cleaned.length === 0) throw new Error('檔案中沒有有效的術語');
+
+    const glossary = load();
+    glossary.terms = cleaned;
+    save(glossary);
+    return cleaned.length;
+}
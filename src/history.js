@@ -1,9 +1,22 @@
 /**
- * Translation history - stores past translations in localStorage
+ * Translation history - stored in IndexedDB, indexed by timestamp, role, direction and session
+ *
+ * Entries are kept until the retention policy (max age and/or max count) removes them.
+ * History from older versions (localStorage `translation_history`) is migrated once on first access.
  */
 
-const HISTORY_KEY = 'translation_history';
-const MAX_ENTRIES = 200;
+import { promisify, withStore } from './db.js';
+import { normalizeForSearch } from './search.js';
+
+const STORE = 'history';
+const LEGACY_KEY = 'translation_history';
+const RETENTION_KEY = 'history_retention';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Local entries and their Sheet copies are timestamped separately; treat close ones as the same turn
+const SAME_TURN_WINDOW_MS = 60 * 1000;
+// Saving a translation applies the retention policy at most this often (it scans the store)
+const RETENTION_INTERVAL_MS = DAY_MS;
 
 /**
  * @typedef {Object} HistoryEntry
@@ -14,51 +27,386 @@ const MAX_ENTRIES = 200;
  * @property {string} translated
  * @property {string} fromLang
  * @property {string} toLang
+ * @property {string} direction - `${fromLang}→${toLang}`, indexed
  * @property {string} [note]
+ * @property {'translate' | 'clarify' | 'enforce' | 'offline' | 'favorite'} [type] - how the translation was produced
+ * @property {string} [searchText] - normalized original + translation, precomputed for search
+ * @property {string} [sessionId] - groups turns of one face-to-face conversation
+ * @property {'male' | 'female'} [gender] - voice the translation was spoken in
+ * @property {boolean} [verified] - confirmed by a glossary hit, 👍 or a correction; reused by the offline phrasebook
+ * @property {boolean} [offline] - produced by the offline phrasebook, not a model
+ * @property {string} [recordId] - Google Sheets record ID, set on entries restored from the Sheet
+ * @property {string} [corrected] - the user's fix for `translated` (which keeps the model output)
+ * @property {'up' | 'down'} [feedback] - the user's 👍/👎 rating of the translation
+ * @property {string} [backTranslation] - verification mode: the translation translated back
+ * @property {number} [confidence] - verification mode: similarity of backTranslation to original, 0..1
+ */
+
+/**
+ * @typedef {Object} Retention
+ * @property {number} maxDays - delete entries older than this (0 = keep forever)
+ * @property {number} maxEntries - keep only the newest N entries (0 = unlimited)
+ */
+
+let migrated = null;
+let retentionAppliedAt = 0; // first save of each app session applies it
+
+function newId() {
+    return Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+}
+
+/**
+ * Add the derived, indexed/searchable fields
  */
+function prepare(entry) {
+    return {
+        ...entry,
+        direction: `${entry.fromLang}→${entry.toLang}`,
+        searchText: normalizeForSearch(`${entry.original}\n${entry.translated}\n${entry.corrected || ''}`),
+    };
+}
+
+/**
+ * Move localStorage history into IndexedDB (runs once; the old key is removed afterwards)
+ */
+function ready() {
+    if (!migrated) {
+        migrated = (async () => {
+            const raw = localStorage.getItem(LEGACY_KEY);
+            if (!raw) return;
+            let legacy = [];
+            try {
+                legacy = JSON.parse(raw);
+            } catch { /* corrupt: nothing to migrate */ }
+            if (Array.isArray(legacy) && legacy.length) {
+                await withStore(STORE, 'readwrite', (store) => {
+                    legacy.forEach((e) => store.put(prepare({ ...e, id: e.id || newId() })));
+                });
+            }
+            localStorage.removeItem(LEGACY_KEY);
+        })();
+        // Retry on next access if IndexedDB wasn't available
+        migrated.catch(() => { migrated = null; });
+    }
+    return migrated;
+}
+
+/**
+ * Walk an index/store cursor; `visit` returns false to stop early
+ */
+function iterate(source, range, direction, visit) {
+    return new Promise((resolve, reject) => {
+        const request = source.openCursor(range, direction);
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor || visit(cursor) === false) {
+                resolve();
+                return;
+            }
+            cursor.continue();
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
 
-function loadAll() {
+/**
+ * Get the retention policy
+ * @returns {Retention}
+ */
+export function getRetention() {
     try {
-        const raw = localStorage.getItem(HISTORY_KEY);
-        return raw ? JSON.parse(raw) : [];
+        return { maxDays: 0, maxEntries: 0, ...JSON.parse(localStorage.getItem(RETENTION_KEY) || '{}') };
     } catch {
-        return [];
+        return { maxDays: 0, maxEntries: 0 };
     }
 }
 
-function saveAll(entries) {
-    localStorage.setItem(HISTORY_KEY, JSON.stringify(entries));
+/**
+ * Save the retention policy and apply it right away
+ * @param {Partial<Retention>} retention
+ */
+export async function setRetention(retention) {
+    localStorage.setItem(RETENTION_KEY, JSON.stringify({ ...getRetention(), ...retention }));
+    await applyRetention();
+}
+
+/**
+ * Delete entries outside the retention policy
+ * @returns {Promise<number>} number of deleted entries
+ */
+export async function applyRetention() {
+    const { maxDays, maxEntries } = getRetention();
+    if (!maxDays && !maxEntries) return 0;
+    await ready();
+    retentionAppliedAt = Date.now();
+
+    return withStore(STORE, 'readwrite', async (store) => {
+        const index = store.index('timestamp');
+        let deleted = 0;
+        if (maxDays) {
+            const cutoff = Date.now() - maxDays * DAY_MS;
+            await iterate(index, IDBKeyRange.upperBound(cutoff, true), 'next', (cursor) => {
+                cursor.delete();
+                deleted++;
+            });
+        }
+        if (maxEntries) {
+            let kept = 0;
+            await iterate(index, null, 'prev', (cursor) => {
+                if (++kept > maxEntries) {
+                    cursor.delete();
+                    deleted++;
+                }
+            });
+        }
+        return deleted;
+    });
+}
+
+/**
+ * Create an ID for a new conversation session
+ */
+export function newSessionId() {
+    return 'ses_' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
 }
 
 /**
  * Save a translation to history
- * @param {Omit<HistoryEntry, 'id' | 'timestamp'>} entry
+ * @param {Omit<HistoryEntry, 'id' | 'timestamp' | 'direction' | 'searchText'>} entry
+ * @returns {Promise<HistoryEntry | null>} the stored entry, or null if storage failed
  */
-export function saveEntry(entry) {
-    const entries = loadAll();
-    entries.unshift({
-        ...entry,
-        id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
-        timestamp: Date.now(),
+export async function saveEntry(entry) {
+    const stored = prepare({ ...entry, id: newId(), timestamp: Date.now() });
+    try {
+        await ready();
+        await withStore(STORE, 'readwrite', (store) => store.put(stored));
+        // A day's worth of extra entries is fine; a full scan on every translation is not
+        if (Date.now() - retentionAppliedAt > RETENTION_INTERVAL_MS) await applyRetention();
+        return stored;
+    } catch (err) {
+        console.warn('[History] save failed:', err.message);
+        return null;
+    }
+}
+
+/**
+ * Update fields of a stored entry (e.g. feedback or a correction)
+ * @param {string} id
+ * @param {Partial<HistoryEntry>} changes
+ * @returns {Promise<HistoryEntry | null>} the updated entry, or null if it no longer exists
+ */
+export async function updateEntry(id, changes) {
+    await ready();
+    return withStore(STORE, 'readwrite', async (store) => {
+        const entry = await promisify(store.get(id));
+        if (!entry) return null;
+        const updated = prepare({ ...entry, ...changes });
+        store.put(updated);
+        return updated;
     });
-    // Keep only latest MAX_ENTRIES
-    if (entries.length > MAX_ENTRIES) entries.length = MAX_ENTRIES;
-    saveAll(entries);
 }
 
 /**
- * Get all history entries (newest first)
- * @returns {HistoryEntry[]}
+ * Merge entries (e.g. restored from Google Sheets) into history, skipping ones already present.
+ * An entry counts as present if its recordId matches, or the same text pair
+ * was saved within a minute of it.
+ * @param {Array<Omit<HistoryEntry, 'id' | 'direction' | 'searchText'>>} incoming
+ * @returns {Promise<number>} number of entries added
+ */
+export async function mergeEntries(incoming) {
+    await ready();
+    const added = await withStore(STORE, 'readwrite', async (store) => {
+        const byTime = store.index('timestamp');
+        const byRecord = store.index('recordId');
+        let count = 0;
+        for (const e of incoming) {
+            if (!e.original || !e.translated) continue;
+            if (e.recordId && await promisify(byRecord.count(e.recordId))) continue;
+            const nearby = await promisify(byTime.getAll(IDBKeyRange.bound(
+                e.timestamp - SAME_TURN_WINDOW_MS, e.timestamp + SAME_TURN_WINDOW_MS)));
+            const sameTurn = nearby.some((x) =>
+                x.original === e.original && x.translated === e.translated && x.fromLang === e.fromLang);
+            if (sameTurn) continue;
+            store.put(prepare({ ...e, id: newId() }));
+            count++;
+        }
+        return count;
+    });
+    await applyRetention();
+    return added;
+}
+
+/**
+ * Split imported entries into new ones and duplicates, without writing anything.
+ * A duplicate has the id of a stored entry (or of an earlier one in the file);
+ * entries without an id are matched on timestamp and text.
+ * @param {Array<Omit<HistoryEntry, 'direction' | 'searchText'>>} incoming
+ * @returns {Promise<{ fresh: Array<Omit<HistoryEntry, 'direction' | 'searchText'>>, duplicates: number }>}
+ */
+export async function previewImport(incoming) {
+    await ready();
+    return withStore(STORE, 'readonly', async (store) => {
+        const byTime = store.index('timestamp');
+        const seen = new Set();
+        const fresh = [];
+        for (const e of incoming) {
+            const key = e.id || `${e.timestamp}\n${e.original}\n${e.translated}`;
+            if (seen.has(key)) continue;
+            seen.add(key);
+            if (e.id) {
+                if (await promisify(store.count(e.id))) continue;
+            } else {
+                const same = await promisify(byTime.getAll(e.timestamp));
+                if (same.some((x) => x.original === e.original && x.translated === e.translated)) continue;
+            }
+            fresh.push(e);
+        }
+        return { fresh, duplicates: incoming.length - fresh.length };
+    });
+}
+
+/**
+ * Write the entries previewImport found to be new, keeping their ids
+ * @param {Array<Omit<HistoryEntry, 'direction' | 'searchText'>>} entries
+ * @returns {Promise<number>} number of entries written
+ */
+export async function importEntries(entries) {
+    await ready();
+    await withStore(STORE, 'readwrite', (store) => {
+        for (const e of entries) store.put(prepare({ ...e, id: e.id || newId() }));
+    });
+    await applyRetention();
+    return entries.length;
+}
+
+/**
+ * Predicate for the queryHistory filter options (search, role, direction, sessionId, from, to, type, filter),
+ * e.g. to pick the matching turns out of a whole session
+ * @returns {(entry: HistoryEntry) => boolean}
+ */
+export function historyMatcher({ search = '', role, direction, sessionId, from, to, type, filter } = {}) {
+    const q = normalizeForSearch(search.trim());
+    return (e) =>
+        (!role || e.role === role) &&
+        (!direction || e.direction === direction) &&
+        (!sessionId || e.sessionId === sessionId) &&
+        (from == null || e.timestamp >= from) &&
+        (to == null || e.timestamp <= to) &&
+        (!type || (type === 'clarify') === (e.type === 'clarify')) &&
+        (!q || (e.searchText ?? normalizeForSearch(`${e.original}\n${e.translated}`)).includes(q)) &&
+        (!filter || filter(e));
+}
+
+/**
+ * Position of the last entry on a page; entries sharing its millisecond are told apart by id
+ * @typedef {{ timestamp: number, id: string }} HistoryCursor
+ */
+
+/**
+ * Load one page of history, newest first
+ * @param {Object} [options]
+ * @param {HistoryCursor} [options.before] - only entries after this one (the previous page's `nextBefore`)
+ * @param {number} [options.limit]
+ * @param {string} [options.search] - matches original or translation (see search.js normalization)
+ * @param {string} [options.role]
+ * @param {string} [options.direction] - e.g. 'zh-TW→th-TH'
+ * @param {string} [options.sessionId]
+ * @param {number} [options.from] - ms timestamp, inclusive
+ * @param {number} [options.to] - ms timestamp, inclusive
+ * @param {'clarify' | 'direct'} [options.type] - clarified turns, or everything else
+ * @param {(entry: HistoryEntry) => boolean} [options.filter] - extra predicate (e.g. starred)
+ * @returns {Promise<{ entries: HistoryEntry[], nextBefore: HistoryCursor | null }>}
+ */
+export async function queryHistory({ before, limit = 50, search = '', role, direction, sessionId, from, to, type, filter } = {}) {
+    await ready();
+    const matches = historyMatcher({ search, role, direction, sessionId, type, filter });
+
+    // Date filters and paging narrow the index range, so only candidate entries are visited
+    const upper = Math.min(before ? before.timestamp : Infinity, to ?? Infinity);
+    const lower = from ?? -Infinity;
+    if (upper < lower) return { entries: [], nextBefore: null };
+    const range = IDBKeyRange.bound(lower, upper);
+
+    return withStore(STORE, 'readonly', async (store) => {
+        const entries = [];
+        let more = false;
+        await iterate(store.index('timestamp'), range, 'prev', (cursor) => {
+            const e = cursor.value;
+            // Within one timestamp the cursor runs by descending id: skip up to and including the previous page's last entry
+            if (before && e.timestamp === before.timestamp && e.id >= before.id) return true;
+            if (!matches(e)) return true;
+            if (entries.length === limit) {
+                more = true;
+                return false;
+            }
+            entries.push(e);
+            return true;
+        });
+        const last = entries[entries.length - 1];
+        return { entries, nextBefore: more ? { timestamp: last.timestamp, id: last.id } : null };
+    });
+}
+
+/**
+ * Get one entry by id
+ * @returns {Promise<HistoryEntry | undefined>}
+ */
+export async function getEntry(id) {
+    await ready();
+    return withStore(STORE, 'readonly', (store) => promisify(store.get(id)));
+}
+
+/**
+ * All turns of one session, oldest first
+ * @param {string} sessionId
+ * @returns {Promise<HistoryEntry[]>}
+ */
+export async function getSession(sessionId) {
+    await ready();
+    const turns = await withStore(STORE, 'readonly', (store) =>
+        promisify(store.index('sessionId').getAll(sessionId)));
+    return turns.sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Get history entries, newest first
+ * @param {number} [limit] - at most this many (default: all)
+ * @returns {Promise<HistoryEntry[]>}
+ */
+export async function getHistory(limit) {
+    try {
+        await ready();
+        return await withStore(STORE, 'readonly', async (store) => {
+            const index = store.index('timestamp');
+            if (!limit) return (await promisify(index.getAll())).reverse();
+            const entries = [];
+            await iterate(index, null, 'prev', (cursor) => {
+                entries.push(cursor.value);
+                return entries.length < limit;
+            });
+            return entries;
+        });
+    } catch (err) {
+        console.warn('[History] load failed:', err.message);
+        return [];
+    }
+}
+
+/**
+ * Number of stored entries
+ * @returns {Promise<number>}
  */
-export function getHistory() {
-    return loadAll();
+export async function countHistory() {
+    await ready();
+    return withStore(STORE, 'readonly', (store) => promisify(store.count()));
 }
 
 /**
  * Clear all history
  */
-export function clearHistory() {
-    localStorage.removeItem(HISTORY_KEY);
+export async function clearHistory() {
+    await ready();
+    await withStore(STORE, 'readwrite', (store) => store.clear());
 }
 
 /**
@@ -0,0 +1,34 @@
+/**
+ * Language helpers - script-based detection for the "auto" direction
+ */
+
+const THAI_RE = /[\u0E00-\u0E7F]/g;
+const CJK_RE = /[\u3400-\u4DBF\u4E00-\u9FFF\uF900-\uFAFF]/g;
+
+/**
+ * Detect source language from the script used (Thai block vs. CJK ideographs)
+ * @param {string} text
+ * @returns {'zh-TW' | 'th-TH' | null} null when neither script is present
+ */
+export function detectLang(text) {
+    const thai = (text.match(THAI_RE) || []).length;
+    const cjk = (text.match(CJK_RE) || []).length;
+    if (thai === 0 && cjk === 0) return null;
+    return thai > cjk ? 'th-TH' : 'zh-TW';
+}
+
+/**
+ * The other language of the pair
+ * @param {'zh-TW' | 'th-TH'} lang
+ */
+export function otherLang(lang) {
+    return lang === 'zh-TW' ? 'th-TH' : 'zh-TW';
+}
+
+/**
+ * Short direction tag shown on bubbles, e.g. "中 → ไทย"
+ */
+export function directionLabel(fromLang, toLang) {
+    const name = (l) => (l === 'zh-TW' ? '中' : 'ไทย');
+    return `${name(fromLang)} → ${name(toLang)}`;
+}
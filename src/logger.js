@@ -1,15 +1,32 @@
 /**
  * Logger module - sends translation records to Google Sheets
- * Non-blocking: failures are silently logged, never affects user experience
+ * Non-blocking: failures are silently logged, never affects user experience.
+ * Records go through a persistent outbox (outbox.js) and are retried with
+ * backoff until delivered, so Wi-Fi drops on the shop floor don't lose rows.
+ *
+ * Every upload is signed with HMAC-SHA256 over timestamp, device ID and body,
+ * keyed by this device's upload key from the Apps Script project (addDevice),
+ * or the older shared secret (setupSecret).
  */
 
+import { enqueue, getPending, getPendingCount, markDelivered, markFailed, saveSigningToken } from './outbox.js';
+
+export { getPendingCount };
+
 const SHEET_URL_KEY = 'google_sheet_url';
+const SHEET_TOKEN_KEY = 'google_sheet_token';
 const DEVICE_ID_KEY = 'device_id';
+const SYNC_TAG = 'sheet-outbox';
+const MAX_BATCH = 50;
+
+let flushing = null;
+let retryTimer = null;
+let lastError = '';
 
 /**
  * Get or create a persistent anonymous device ID
  */
-function getDeviceId() {
+export function getDeviceId() {
     let id = localStorage.getItem(DEVICE_ID_KEY);
     if (!id) {
         id = 'dev_' + Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
@@ -37,18 +54,45 @@ export function setSheetUrl(url) {
 }
 
 /**
- * Log a translation to Google Sheets (fire-and-forget)
+ * Get the upload key for signing uploads
+ */
+export function getSheetToken() {
+    return localStorage.getItem(SHEET_TOKEN_KEY) || '';
+}
+
+/**
+ * Save the upload key (copied from the Apps Script setup)
+ */
+export function setSheetToken(token) {
+    if (token) {
+        localStorage.setItem(SHEET_TOKEN_KEY, token.trim());
+    } else {
+        localStorage.removeItem(SHEET_TOKEN_KEY);
+    }
+    saveSigningToken(getSheetToken()).catch(() => { /* no IndexedDB: nothing queued either */ });
+}
+
+/**
+ * Reason the last upload was rejected by the backend ('' if it went through)
+ */
+export function getUploadError() {
+    return lastError;
+}
+
+/**
+ * Log a translation to Google Sheets (fire-and-forget, queued until delivered)
  * @param {Object} entry
  * @param {string} entry.role - 'supervisor' | 'worker'
  * @param {string} entry.original - source text
  * @param {string} entry.translated - translated text
  * @param {string} entry.fromLang - source language
  * @param {string} entry.toLang - target language
- * @param {string} [entry.type] - 'translate' | 'clarify'
+ * @param {string} [entry.type] - 'translate' | 'clarify' | 'enforce' | 'offline' | 'favorite', or 'feedback' for a 👍/👎 rating, correction or glossary retranslation
  * @param {string} [entry.note]
  */
 export function logTranslation(entry) {
     const url = getSheetUrl();
+    const token = getSheetToken();
     if (!url) return; // not configured, skip silently
 
     const directionMap = {
@@ -57,6 +101,7 @@ export function logTranslation(entry) {
     };
 
     const payload = {
+        id: 'rec_' + Date.now().toString(36) + Math.random().toString(36).slice(2, 10),
         timestamp: Date.now(),
         role: entry.role === 'supervisor' ? '主管' : '工人',
         direction: directionMap[`${entry.fromLang}→${entry.toLang}`] || `${entry.fromLang}→${entry.toLang}`,
@@ -68,12 +113,183 @@ export function logTranslation(entry) {
     };
 
     // Fire-and-forget: don't await, don't block UI
-    fetch(url, {
+    enqueue(url, payload)
+        .then(() => {
+            requestBackgroundSync();
+            flushOutbox();
+        })
+        .catch((err) => {
+            // No IndexedDB: fall back to a single direct attempt
+            console.warn('[Logger] Outbox unavailable, sending directly:', err.message);
+            send(url, token, payload).catch((e) => {
+                console.warn('[Logger] Failed to send to Google Sheets:', e.message);
+            });
+        });
+}
+
+function toHex(buffer) {
+    return [...new Uint8Array(buffer)].map((b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Wrap a body in a signed envelope: sig = HMAC-SHA256(token, `${ts}.${deviceId}.${body}`)
+ * @returns {Promise<{ deviceId: string, ts: number, body: string, sig: string }>}
+ */
+async function sign(token, body) {
+    const deviceId = getDeviceId();
+    const ts = Date.now();
+    const enc = new TextEncoder();
+    const key = await crypto.subtle.importKey('raw', enc.encode(token), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+    const mac = await crypto.subtle.sign('HMAC', key, enc.encode(`${ts}.${deviceId}.${body}`));
+    return { deviceId, ts, body, sig: toHex(mac) };
+}
+
+async function send(url, token, body) {
+    if (!token) throw new Error('尚未設定上傳金鑰');
+    const envelope = await sign(token, JSON.stringify(body));
+    // text/plain keeps this a "simple" request: Apps Script doesn't support CORS preflight
+    return fetch(url, {
         method: 'POST',
-        mode: 'no-cors', // Apps Script doesn't support CORS preflight
         headers: { 'Content-Type': 'text/plain' },
-        body: JSON.stringify(payload),
-    }).catch((err) => {
-        console.warn('[Logger] Failed to send to Google Sheets:', err.message);
+        body: JSON.stringify(envelope),
     });
 }
+
+/**
+ * POST a batch of outbox records and sort them by the per-record status
+ * the Apps Script backend returns ('ok' and 'duplicate' both count as delivered)
+ * @param {string} url
+ * @param {import('./outbox.js').OutboxRecord[]} records
+ * @returns {Promise<{ delivered: string[], failed: import('./outbox.js').OutboxRecord[] }>}
+ */
+async function sendBatch(url, token, records) {
+    const response = await send(url, token, records.map((r) => r.payload));
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+    let data = null;
+    try {
+        data = await response.json();
+    } catch { /* not JSON: handled below */ }
+    // Rejected envelope (bad signature, stale, revoked device): keep the records queued
+    if (data?.status === 'unauthorized' || data?.status === 'error') {
+        throw new Error(data.message || data.status);
+    }
+    // Without per-record results nothing is known to be saved (an older single-record
+    // script writes one row at most), so the whole batch stays queued
+    const results = data?.results;
+    if (!Array.isArray(results)) {
+        throw new Error(data?.status === 'ok' ? 'Apps Script 版本過舊，請重新部署最新版' : '後端回應格式錯誤');
+    }
+
+    const statusById = new Map(results.map((r) => [r.id, r.status]));
+    const delivered = [];
+    const failed = [];
+    for (const record of records) {
+        const status = statusById.get(record.id);
+        if (status === 'ok' || status === 'duplicate') delivered.push(record.id);
+        else failed.push(record);
+    }
+    return { delivered, failed };
+}
+
+/**
+ * Query records from the Sheet (newest first, one page)
+ * @param {Object} [query]
+ * @param {string} [query.deviceId] - only this device's records
+ * @param {number} [query.from] - ms timestamp, inclusive
+ * @param {number} [query.to] - ms timestamp, inclusive
+ * @param {string} [query.direction] - e.g. 'zh-TW→th-TH'
+ * @param {number} [query.cursor] - `nextCursor` from the previous page
+ * @param {number} [query.limit]
+ * @returns {Promise<{ records: Object[], nextCursor: number | null }>}
+ */
+export async function fetchSheetRecords(query = {}) {
+    const url = getSheetUrl();
+    const token = getSheetToken();
+    if (!url || !token) throw new Error('請先設定 Google Sheets 網址與上傳金鑰');
+
+    const envelope = await sign(token, JSON.stringify(query));
+    const response = await fetch(`${url}?q=${encodeURIComponent(JSON.stringify(envelope))}`);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const data = await response.json();
+    if (data.status !== 'ok') throw new Error(data.message || data.status);
+    return { records: data.records || [], nextCursor: data.nextCursor ?? null };
+}
+
+/**
+ * Ask the service worker to flush the outbox when connectivity returns,
+ * even if the app is closed (Chrome background sync)
+ */
+function requestBackgroundSync() {
+    if (!('serviceWorker' in navigator)) return;
+    // The worker signs with the current token too (also copies it over on first use after an update)
+    saveSigningToken(getSheetToken())
+        .then(() => navigator.serviceWorker.ready)
+        .then((reg) => reg.sync?.register(SYNC_TAG))
+        .catch(() => { /* background sync unsupported */ });
+}
+
+/**
+ * Try to deliver all due outbox records. Safe to call any time
+ * (e.g. on the `online` event); concurrent calls share one run.
+ * @returns {Promise<void>}
+ */
+export function flushOutbox() {
+    if (!flushing) {
+        flushing = doFlush().finally(() => { flushing = null; });
+    }
+    return flushing;
+}
+
+async function doFlush() {
+    clearTimeout(retryTimer);
+    if (!navigator.onLine) return;
+
+    let pending;
+    try {
+        pending = await getPending();
+    } catch (err) {
+        console.warn('[Logger] Cannot read outbox:', err.message);
+        return;
+    }
+
+    // Group due records by endpoint (the URL may have changed while they waited).
+    // Sign with the current token, so fixing a wrong token releases the queue.
+    const token = getSheetToken();
+    const now = Date.now();
+    const byUrl = new Map();
+    for (const record of pending) {
+        if (record.nextAttemptAt > now) continue;
+        if (!byUrl.has(record.url)) byUrl.set(record.url, []);
+        byUrl.get(record.url).push(record);
+    }
+
+    for (const [url, records] of byUrl) {
+        for (let i = 0; i < records.length; i += MAX_BATCH) {
+            const batch = records.slice(i, i + MAX_BATCH);
+            try {
+                const { delivered, failed } = await sendBatch(url, token, batch);
+                lastError = '';
+                await markDelivered(delivered);
+                await markFailed(failed);
+            } catch (err) {
+                console.warn('[Logger] Batch upload failed, will retry:', err.message);
+                lastError = err.message;
+                await markFailed(batch).catch(() => {});
+            }
+        }
+    }
+
+    scheduleRetry();
+}
+
+/**
+ * Schedule the next flush for the earliest record still waiting
+ */
+async function scheduleRetry() {
+    const pending = await getPending().catch(() => []);
+    if (pending.length === 0) return;
+    const next = Math.min(...pending.map((r) => r.nextAttemptAt));
+    clearTimeout(retryTimer);
+    retryTimer = setTimeout(flushOutbox, Math.max(1000, next - Date.now()));
+}
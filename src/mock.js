@@ -0,0 +1,165 @@
+/**
+ * Mock translation backend - deterministic, no network.
+ * For demos and testing: known phrases translate exactly, glossary terms are
+ * substituted, and vague words (那個 / 弄一下 / อันนั้น) trigger the clarify flow.
+ *
+ * Also the fake speech recognition engine: it "hears" lines from an editable
+ * script in turn, so the whole voice flow can be tested without a microphone.
+ */
+
+import { getTerms } from './glossary.js';
+import { detectLang } from './lang.js';
+import { BUNDLED_PHRASES } from './phrasebook.js';
+
+
+const VAGUE_WORDS = ['那個', '弄一下', 'อันนั้น', 'ทำหน่อย'];
+
+function politeSuffix(toLang, gender) {
+    if (toLang !== 'th-TH') return '';
+    return gender === 'female' ? 'ค่ะ' : 'ครับ';
+}
+
+function mockTranslate(text, fromLang, toLang, gender) {
+    const key = text.trim();
+    const pair = BUNDLED_PHRASES.find(([zh, th]) => (fromLang === 'zh-TW' ? zh : th) === key);
+    let translated = pair && (fromLang === 'zh-TW' ? pair[1] : pair[0]);
+    if (!translated) {
+        // Substitute glossary terms, longest first; mark the rest as untranslated
+        translated = key;
+        const terms = getTerms().slice().sort((a, b) => b.zh.length - a.zh.length);
+        for (const t of terms) {
+            const [from, to] = fromLang === 'zh-TW' ? [t.zh, t.th.split('/')[0]] : [t.th.split('/')[0], t.zh];
+            translated = translated.split(from).join(to);
+        }
+        translated = `[模擬] ${translated}`;
+    }
+    return { type: 'translate', original: text, translated: translated + politeSuffix(toLang, gender) };
+}
+
+/**
+ * Analyze and translate text (same contract as gemini.analyzeAndTranslate)
+ */
+export async function analyzeAndTranslate(text, fromLang, toLang, gender = 'male', options = {}) {
+    if (options.detectLanguage) {
+        const detected = detectLang(text);
+        if (detected) {
+            fromLang = detected;
+            toLang = detected === 'zh-TW' ? 'th-TH' : 'zh-TW';
+        }
+    }
+    const lang = options.detectLanguage ? { lang: fromLang } : {};
+
+    if (VAGUE_WORDS.some((w) => text.includes(w))) {
+        return {
+            type: 'clarify',
+            question_source: fromLang === 'zh-TW' ? '你是指哪一個？' : 'หมายถึงอันไหน?',
+            question_target: fromLang === 'zh-TW' ? 'หมายถึงอันไหน?' : '你是指哪一個？',
+            options: fromLang === 'zh-TW'
+                ? [
+                    { source: '模具', target: 'แม่พิมพ์', value: '把模具處理一下' },
+                    { source: '機器', target: 'เครื่อง', value: '把機器處理一下' },
+                ]
+                : [
+                    { source: 'แม่พิมพ์', target: '模具', value: 'จัดการแม่พิมพ์หน่อย' },
+                    { source: 'เครื่อง', target: '機器', value: 'จัดการเครื่องหน่อย' },
+                ],
+            ...lang,
+        };
+    }
+
+    return { ...mockTranslate(text, fromLang, toLang, gender), ...lang };
+}
+
+/**
+ * Translate a clarified option (same contract as gemini.translateClarified)
+ */
+export async function translateClarified(clarifiedText, fromLang, toLang, gender = 'male') {
+    return mockTranslate(clarifiedText, fromLang, toLang, gender);
+}
+
+/**
+ * Mock backend is always available
+ */
+export async function checkHealth() {
+    return { ok: true, message: '模擬模式（不連網）' };
+}
+
+// ===== FAKE SPEECH RECOGNITION =====
+
+const FAKE_SCRIPT_KEY = 'fake_stt_script';
+const FAKE_CHAR_MS = 120; // simulated speaking speed for interim results
+
+const DEFAULT_FAKE_SCRIPT = {
+    'zh-TW': ['戴安全帽', '那個弄一下', '這個不對，再做一次'],
+    'th-TH': ['เครื่องเสีย', 'ต้องการอะไหล่', 'เสร็จแล้ว'],
+};
+
+const fakePosition = { 'zh-TW': 0, 'th-TH': 0 };
+let fakeTurn = null; // { finish(discard) }
+
+/**
+ * Scripted transcripts per language
+ * @returns {{ 'zh-TW': string[], 'th-TH': string[] }}
+ */
+export function getFakeScript() {
+    try {
+        return { ...DEFAULT_FAKE_SCRIPT, ...JSON.parse(localStorage.getItem(FAKE_SCRIPT_KEY)) };
+    } catch {
+        return DEFAULT_FAKE_SCRIPT;
+    }
+}
+
+/**
+ * Save the scripted transcripts (empty = defaults); restarts from the first line
+ * @param {{ 'zh-TW'?: string[], 'th-TH'?: string[] }} script
+ */
+export function setFakeScript(script) {
+    const cleaned = {};
+    for (const [lang, lines] of Object.entries(script)) {
+        const list = (lines || []).map((l) => l.trim()).filter(Boolean);
+        if (list.length) cleaned[lang] = list;
+    }
+    localStorage.setItem(FAKE_SCRIPT_KEY, JSON.stringify(cleaned));
+    fakePosition['zh-TW'] = 0;
+    fakePosition['th-TH'] = 0;
+}
+
+/**
+ * Fake engine listen (same contract as speech.listen): "speaks" the next script line
+ * character by character, reporting interim text, and ends when the line is done
+ * (not continuous) or when stopped
+ */
+export function fakeListen(lang, options = {}) {
+    fakeStop(true);
+    const lines = getFakeScript()[lang] || [];
+    const line = lines.length ? lines[fakePosition[lang]++ % lines.length] : '';
+    const chars = [...line];
+
+    return new Promise((resolve) => {
+        let spoken = 0;
+        const timer = setInterval(() => {
+            if (spoken < chars.length) spoken++;
+            if (options.onInterim) options.onInterim(chars.slice(0, spoken).join(''));
+            if (spoken === chars.length && options.continuous === false) turn.finish(false);
+        }, FAKE_CHAR_MS);
+
+        const turn = {
+            finish(discard) {
+                clearInterval(timer);
+                if (fakeTurn === turn) fakeTurn = null;
+                // Stopped early: the whole line was "heard" anyway, like a final result
+                const text = discard ? '' : line;
+                resolve({ text, alternatives: text ? [text] : [] });
+            },
+        };
+        fakeTurn = turn;
+    });
+}
+
+/**
+ * End the current fake turn
+ * @param {boolean} discard - return nothing instead of the line
+ */
+export function fakeStop(discard) {
+    if (fakeTurn) fakeTurn.finish(discard);
+}
@@ -0,0 +1,122 @@
+/**
+ * OpenAI-compatible chat completions backend (e.g. a self-hosted model on the plant LAN
+ * served by vLLM / Ollama / LM Studio). Uses the same prompts as Gemini.
+ */
+
+import { extractJSON, historyPairs, buildSystemPrompt, buildClarifyPrompt } from './prompt.js';
+
+const BASE_URL_KEY = 'openai_base_url';
+const MODEL_KEY = 'openai_model';
+const API_KEY_KEY = 'openai_api_key';
+
+/**
+ * Get endpoint settings
+ * @returns {{ baseUrl: string, model: string, apiKey: string }}
+ */
+export function getOpenAISettings() {
+    return {
+        baseUrl: localStorage.getItem(BASE_URL_KEY) || '',
+        model: localStorage.getItem(MODEL_KEY) || '',
+        apiKey: localStorage.getItem(API_KEY_KEY) || '',
+    };
+}
+
+/**
+ * Save endpoint settings (empty values are removed)
+ * @param {{ baseUrl?: string, model?: string, apiKey?: string }} settings
+ */
+export function setOpenAISettings({ baseUrl, model, apiKey }) {
+    const set = (key, value) => {
+        if (value) localStorage.setItem(key, value.trim());
+        else localStorage.removeItem(key);
+    };
+    // Strip trailing slash so we can append paths
+    set(BASE_URL_KEY, (baseUrl || '').trim().replace(/\/+$/, ''));
+    set(MODEL_KEY, model);
+    set(API_KEY_KEY, apiKey);
+}
+
+function headers(apiKey) {
+    const h = { 'Content-Type': 'application/json' };
+    if (apiKey) h.Authorization = `Bearer ${apiKey}`;
+    return h;
+}
+
+async function chat(messages, temperature) {
+    const { baseUrl, model, apiKey } = getOpenAISettings();
+    if (!baseUrl) {
+        throw new Error('請先設定自架模型網址');
+    }
+
+    const response = await fetch(`${baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers: headers(apiKey),
+        body: JSON.stringify({ model, messages, temperature }),
+    });
+
+    if (!response.ok) {
+        const errBody = await response.text();
+        console.error(`OpenAI-compatible API error (${response.status}):`, errBody);
+        if (response.status === 429) {
+            throw new Error('API 限流：伺服器忙碌，請稍後再試');
+        }
+        if (response.status === 401 || response.status === 403) {
+            throw new Error('API Key 無效或已過期，請到設定更換 API Key');
+        }
+        throw new Error(`自架模型錯誤 (${response.status}): ${errBody}`);
+    }
+
+    const data = await response.json();
+    const content = data.choices?.[0]?.message?.content;
+    if (!content) {
+        throw new Error('自架模型沒有回傳有效內容');
+    }
+    return content;
+}
+
+/**
+ * Analyze and translate text (same contract as gemini.analyzeAndTranslate)
+ */
+export async function analyzeAndTranslate(text, fromLang, toLang, gender = 'male', options = {}) {
+    const messages = [
+        { role: 'system', content: buildSystemPrompt(fromLang, toLang, gender, options.detectLanguage) },
+        ...historyPairs(options.history, fromLang).flatMap(({ original, translated }) => [
+            { role: 'user', content: original },
+            { role: 'assistant', content: JSON.stringify({ type: 'translate', original, translated }) },
+        ]),
+        { role: 'user', content: text },
+    ];
+    return extractJSON(await chat(messages, 0.3));
+}
+
+/**
+ * Translate a clarified option (same contract as gemini.translateClarified)
+ */
+export async function translateClarified(clarifiedText, fromLang, toLang, gender = 'male', options = {}) {
+    const prompt = buildClarifyPrompt(clarifiedText, fromLang, toLang, gender, options.requiredTerms);
+    const content = await chat([{ role: 'user', content: prompt }], 0.2);
+    try {
+        return extractJSON(content);
+    } catch {
+        // Fallback: return raw text as translation
+        return { type: 'translate', original: clarifiedText, translated: content };
+    }
+}
+
+/**
+ * Check that the endpoint is reachable
+ * @returns {Promise<{ ok: boolean, message: string }>}
+ */
+export async function checkHealth() {
+    const { baseUrl, apiKey } = getOpenAISettings();
+    if (!baseUrl) return { ok: false, message: '尚未設定網址' };
+    try {
+        const response = await fetch(`${baseUrl}/models`, { headers: headers(apiKey) });
+        if (!response.ok) return { ok: false, message: `伺服器回應錯誤 (${response.status})` };
+        const data = await response.json();
+        const count = data.data?.length ?? 0;
+        return { ok: true, message: `連線成功，${count} 個模型可用` };
+    } catch (err) {
+        return { ok: false, message: `無法連線：${err.message}` };
+    }
+}
@@ -0,0 +1,102 @@
+/**
+ * Outbox - persistent queue for Google Sheets log records (IndexedDB).
+ *
+ * Records stay queued until a send succeeds, with exponential backoff between
+ * attempts. Each record carries an idempotency `id`, so the Apps Script backend
+ * can drop duplicates when a send that actually arrived is retried.
+ * The service worker (public/sw-outbox.js) flushes the same store via background sync.
+ */
+
+import { promisify, withStore } from './db.js';
+
+const STORE = 'outbox';
+const SETTINGS_STORE = 'settings';
+const TOKEN_SETTING = 'sheet_token';
+const BASE_DELAY_MS = 5000;
+const MAX_DELAY_MS = 10 * 60 * 1000;
+
+/**
+ * @typedef {Object} OutboxRecord
+ * @property {string} id - idempotency ID (also the payload's `id`)
+ * @property {string} url - endpoint to deliver to
+ * @property {Object} payload
+ * @property {number} createdAt
+ * @property {number} attempts
+ * @property {number} nextAttemptAt
+ */
+
+/**
+ * Backoff delay after `attempts` failed sends: 5s, 10s, 20s ... capped at 10 min
+ */
+export function backoffDelay(attempts) {
+    return Math.min(BASE_DELAY_MS * 2 ** Math.max(0, attempts - 1), MAX_DELAY_MS);
+}
+
+/**
+ * Add a record to the outbox. It is signed when sent, with the token current at that time.
+ * @param {string} url
+ * @param {Object & { id: string }} payload
+ */
+export async function enqueue(url, payload) {
+    const now = Date.now();
+    await withStore(STORE, 'readwrite', (store) => {
+        store.put({ id: payload.id, url, payload, createdAt: now, attempts: 0, nextAttemptAt: now });
+    });
+}
+
+/**
+ * Keep a copy of the signing token for the service worker, which can't read localStorage
+ * @param {string} token - '' removes it
+ */
+export async function saveSigningToken(token) {
+    await withStore(SETTINGS_STORE, 'readwrite', (store) => {
+        if (token) store.put({ key: TOKEN_SETTING, value: token });
+        else store.delete(TOKEN_SETTING);
+    });
+}
+
+/**
+ * All queued records, oldest first
+ * @returns {Promise<OutboxRecord[]>}
+ */
+export async function getPending() {
+    return withStore(STORE, 'readonly', (store) => promisify(store.index('createdAt').getAll()));
+}
+
+/**
+ * Number of records waiting to be delivered
+ * @returns {Promise<number>}
+ */
+export async function getPendingCount() {
+    try {
+        return await withStore(STORE, 'readonly', (store) => promisify(store.count()));
+    } catch {
+        return 0;
+    }
+}
+
+/**
+ * Remove delivered records
+ * @param {string[]} ids
+ */
+export async function markDelivered(ids) {
+    if (ids.length === 0) return;
+    await withStore(STORE, 'readwrite', (store) => {
+        ids.forEach((id) => store.delete(id));
+    });
+}
+
+/**
+ * Record a failed attempt and schedule the next one
+ * @param {OutboxRecord[]} records
+ */
+export async function markFailed(records) {
+    if (records.length === 0) return;
+    const now = Date.now();
+    await withStore(STORE, 'readwrite', (store) => {
+        records.forEach((r) => {
+            const attempts = r.attempts + 1;
+            store.put({ ...r, attempts, nextAttemptAt: now + backoffDelay(attempts) });
+        });
+    });
+}
@@ -0,0 +1,165 @@
+/**
+ * Offline phrasebook - translation fallback when the network or daily quota is unavailable.
+ *
+ * Sources, in order of trust:
+ * 1. bundled translations of the quick phrases
+ * 2. the factory glossary
+ * 3. verified entries from local history
+ *
+ * Matching is exact first, then fuzzy (edit-distance similarity on normalized text).
+ * Short inputs only match exactly, and a fuzzy match is refused when the
+ * negation words differ, so 別開機 never comes back as 開機.
+ */
+
+import { getTerms } from './glossary.js';
+import { getHistory } from './history.js';
+
+// Bundled zh-TW ↔ th-TH pairs for the quick phrase bar
+export const BUNDLED_PHRASES = [
+    ['戴安全帽', 'ใส่หมวกนิรภัย'],
+    ['小心燙', 'ระวังร้อน'],
+    ['停機', 'หยุดเครื่อง'],
+    ['開機', 'เปิดเครื่อง'],
+    ['快一點', 'เร็วหน่อย'],
+    ['休息', 'พัก'],
+    ['加班', 'ทำโอที'],
+    ['注意安全', 'ระวังความปลอดภัย'],
+    ['這個不對', 'อันนี้ไม่ถูก'],
+    ['再做一次', 'ทำอีกครั้ง'],
+    ['很好', 'ดีมาก'],
+    ['下班', 'เลิกงาน'],
+    ['了解了', 'เข้าใจแล้ว'],
+    ['聽不懂', 'ไม่เข้าใจ'],
+    ['請幫忙', 'ช่วยด้วย'],
+    ['做完了', 'เสร็จแล้ว'],
+    ['有問題', 'มีปัญหา'],
+    ['我想休息一下', 'ขอพัก'],
+    ['機器壞了', 'เครื่องเสีย'],
+    ['需要零件', 'ต้องการอะไหล่'],
+    ['收到', 'รับทราบ'],
+    ['請稍等', 'รอสักครู่'],
+    ['做不到', 'ทำไม่ได้'],
+    ['謝謝', 'ขอบคุณ'],
+];
+
+const MIN_SCORE = 0.6;
+// Normalized inputs shorter than this must match exactly
+const MIN_FUZZY_LENGTH = 5;
+// Negation words; a fuzzy match must contain the same ones as the input
+const NEGATIONS = ['不要', '不', '別', '勿', '沒', '禁止', 'ไม่', 'ห้าม', 'อย่า'];
+// Only the most recent history is worth scanning for phrase matches
+const MAX_HISTORY_SCAN = 2000;
+
+/**
+ * @typedef {Object} PhraseMatch
+ * @property {string} translated
+ * @property {string} matched - the phrasebook source text that matched
+ * @property {number} score - 1 for exact, < 1 for fuzzy
+ * @property {'phrase' | 'glossary' | 'history'} source
+ */
+
+/**
+ * Normalize for matching: drop whitespace, punctuation and Thai polite particles
+ */
+export function normalize(text) {
+    return (text || '')
+        .toLowerCase()
+        .replace(/[\s\p{P}\p{S}]/gu, '')
+        // After the punctuation, so "ครับ " or "ครับ。" at the end is still a final particle
+        .replace(/(ครับ|ค่ะ|คะ|นะ)$/u, '');
+}
+
+function editDistance(a, b) {
+    const prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        let diag = prev[0];
+        prev[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const tmp = prev[j];
+            prev[j] = Math.min(prev[j] + 1, prev[j - 1] + 1, diag + (a[i - 1] === b[j - 1] ? 0 : 1));
+            diag = tmp;
+        }
+    }
+    return prev[b.length];
+}
+
+function similarity(a, b) {
+    if (!a || !b) return 0;
+    if (a === b) return 1;
+    return 1 - editDistance(a, b) / Math.max(a.length, b.length);
+}
+
+function negations(text) {
+    let rest = text;
+    const found = [];
+    // Longest first, so 不要 isn't also counted as 不
+    for (const word of NEGATIONS) {
+        if (rest.includes(word)) {
+            found.push(word);
+            rest = rest.split(word).join(' ');
+        }
+    }
+    return found.sort().join();
+}
+
+/**
+ * Build phrasebook entries for one direction
+ * @returns {Promise<Array<{ from: string, to: string, source: PhraseMatch['source'] }>>}
+ */
+async function buildEntries(fromLang) {
+    const zhFirst = fromLang === 'zh-TW';
+    const entries = [];
+
+    for (const [zh, th] of BUNDLED_PHRASES) {
+        entries.push(zhFirst ? { from: zh, to: th, source: 'phrase' } : { from: th, to: zh, source: 'phrase' });
+    }
+
+    for (const t of getTerms()) {
+        const thForms = t.th.split('/').map((f) => f.trim()).filter(Boolean);
+        if (zhFirst) {
+            // Prefer the Thai spelling over abbreviations ("OT/ทำโอที" → ทำโอที)
+            entries.push({ from: t.zh, to: thForms[thForms.length - 1] || t.th, source: 'glossary' });
+        } else {
+            thForms.forEach((f) => entries.push({ from: f, to: t.zh, source: 'glossary' }));
+        }
+    }
+
+    for (const e of await getHistory(MAX_HISTORY_SCAN)) {
+        if (!e.verified || e.offline) continue;
+        const translated = e.corrected || e.translated;
+        if (e.fromLang === fromLang) {
+            entries.push({ from: e.original, to: translated, source: 'history' });
+        } else if (e.toLang === fromLang) {
+            entries.push({ from: translated, to: e.original, source: 'history' });
+        }
+    }
+
+    return entries;
+}
+
+/**
+ * Find the best offline translation for a text
+ * @param {string} text
+ * @param {'zh-TW' | 'th-TH'} fromLang
+ * @returns {Promise<PhraseMatch | null>}
+ */
+export async function findPhrase(text, fromLang) {
+    const query = normalize(text);
+    if (!query) return null;
+
+    const fuzzy = query.length >= MIN_FUZZY_LENGTH;
+    const queryNegations = negations(query);
+
+    let best = null;
+    for (const entry of await buildEntries(fromLang)) {
+        const from = normalize(entry.from);
+        const score = similarity(query, from);
+        if (score < 1 && (!fuzzy || negations(from) !== queryNegations)) continue;
+        // Earlier sources win ties (bundled > glossary > history)
+        if (score >= MIN_SCORE && (!best || score > best.score)) {
+            best = { translated: entry.to, matched: entry.from, score, source: entry.source };
+            if (score === 1) break;
+        }
+    }
+    return best;
+}
@@ -0,0 +1,122 @@
+/**
+ * Translation playback queue
+ *
+ * Auto-played translations are spoken one after another instead of cutting
+ * each other off; a tapped play button jumps the queue. Each item reports its
+ * state so the bubble can show what is queued and what is playing.
+ * Auto-play and the repeat count (for loud areas) are global settings.
+ */
+
+import { speak, showsTextInstead, whenSpeechDone } from './speech.js';
+
+const AUTOPLAY_KEY = 'autoplay_enabled';
+const REPEAT_KEY = 'playback_repeat';
+const REPEAT_GAP_MS = 700;
+const SLOW_RATE = 0.7;
+
+/**
+ * @typedef {Object} PlaybackItem
+ * @property {string} text
+ * @property {'zh-TW' | 'th-TH'} lang
+ * @property {'male' | 'female'} gender
+ * @property {boolean} [slow] - play once at reduced speed instead of the repeat count
+ * @property {(state: 'queued' | 'playing' | 'done') => void} [onState]
+ */
+
+const queue = [];
+let current = null;
+let running = false;
+
+export function isAutoPlayEnabled() {
+    return localStorage.getItem(AUTOPLAY_KEY) !== '0';
+}
+
+export function setAutoPlayEnabled(enabled) {
+    localStorage.setItem(AUTOPLAY_KEY, enabled ? '1' : '0');
+}
+
+/**
+ * How many times each translation is spoken (1-3)
+ */
+export function getRepeatCount() {
+    const n = Number(localStorage.getItem(REPEAT_KEY));
+    return n >= 1 && n <= 3 ? n : 1;
+}
+
+export function setRepeatCount(n) {
+    localStorage.setItem(REPEAT_KEY, String(n));
+}
+
+function setState(item, state) {
+    if (item.onState) item.onState(state);
+}
+
+async function playItem(item) {
+    // The large-text fallback (no voice installed) is shown once, not once per repeat
+    const times = item.slow || showsTextInstead(item.lang) ? 1 : getRepeatCount();
+    for (let i = 0; i < times && !item.cancelled; i++) {
+        if (i > 0) await new Promise((resolve) => setTimeout(resolve, REPEAT_GAP_MS));
+        if (item.cancelled) break;
+        await speak(item.text, item.lang, item.gender, item.slow ? { rateScale: SLOW_RATE } : {});
+    }
+}
+
+async function run() {
+    if (running) return;
+    running = true;
+    while (queue.length) {
+        current = queue.shift();
+        setState(current, 'playing');
+        await playItem(current);
+        setState(current, 'done');
+        current = null;
+    }
+    running = false;
+}
+
+/**
+ * Add a translation to the end of the queue
+ * @param {PlaybackItem} item
+ */
+export function enqueue(item) {
+    queue.push(item);
+    setState(item, 'queued');
+    run();
+}
+
+/**
+ * Play right away, interrupting the current item; the rest of the queue continues afterwards
+ * @param {PlaybackItem} item
+ */
+export function playNow(item) {
+    if (current) {
+        current.cancelled = true;
+        window.speechSynthesis?.cancel();
+    }
+    queue.unshift(item);
+    setState(item, 'queued');
+    run();
+}
+
+/**
+ * Drop everything queued and stop the current item
+ */
+export function clearQueue() {
+    queue.splice(0).forEach((item) => setState(item, 'done'));
+    if (current) {
+        current.cancelled = true;
+        window.speechSynthesis?.cancel();
+    }
+}
+
+/**
+ * Wait until the queue is empty and nothing is being spoken
+ * @returns {Promise<void>}
+ */
+export async function whenPlaybackDone() {
+    await whenSpeechDone();
+    while (running || queue.length) {
+        await new Promise((resolve) => setTimeout(resolve, 200));
+        await whenSpeechDone();
+    }
+}
@@ -0,0 +1,87 @@
+/**
+ * Prompt building shared by all LLM translation providers
+ */
+
+import { formatGlossaryForPrompt } from './glossary.js';
+import { formatCorrectionsForPrompt } from './corrections.js';
+
+/**
+ * Extract JSON from model response text (may be wrapped in ```json code fence)
+ */
+export function extractJSON(text) {
+    // Try direct parse first
+    try {
+        return JSON.parse(text);
+    } catch { /* continue */ }
+
+    // Try extracting from ```json ... ``` code fence
+    const fenceMatch = text.match(/```(?:json)?\s*([\s\S]*?)```/);
+    if (fenceMatch) {
+        return JSON.parse(fenceMatch[1].trim());
+    }
+
+    throw new Error('無法解析回傳的 JSON');
+}
+
+/**
+ * Format glossary terms that must appear in the output (used when retranslating after a term mismatch)
+ * @param {Array<{zh: string, th: string}>} terms
+ */
+function formatRequiredTerms(terms) {
+    if (!terms || terms.length === 0) return '';
+    return `。必須使用以下術語，不可改寫：${terms.map((t) => `${t.zh}=${t.th}`).join(',')}`;
+}
+
+/**
+ * Normalize earlier conversation turns into fromLang → toLang example pairs,
+ * so pronouns and follow-ups ("那個", "弄一下") can be resolved from context.
+ * Turns spoken in the other direction (face-to-face mode) are flipped.
+ * @param {Array<{original: string, translated: string, fromLang?: string}>} [history]
+ * @param {'zh-TW' | 'th-TH'} fromLang
+ * @returns {Array<{original: string, translated: string}>}
+ */
+export function historyPairs(history, fromLang) {
+    if (!history || history.length === 0) return [];
+    return history.map((turn) => {
+        const flipped = turn.fromLang && turn.fromLang !== fromLang;
+        return {
+            original: flipped ? turn.translated : turn.original,
+            translated: flipped ? turn.original : turn.translated,
+        };
+    });
+}
+
+/**
+ * Build the system prompt for translation
+ * @param {boolean} [detectLanguage] - input may be either language; the model identifies it and reports "lang"
+ */
+export function buildSystemPrompt(fromLang, toLang, gender = 'male', detectLanguage = false) {
+    const fromName = detectLanguage ? '原文語言' : fromLang === 'zh-TW' ? '中文' : 'ไทย';
+    const toName = detectLanguage ? '另一語言' : toLang === 'zh-TW' ? '中文' : 'ไทย';
+    const direction = detectLanguage
+        ? '輸入可能是中文或泰文（語音辨識可能有誤），先判斷原文語言，翻成另一種語言，並在JSON加"lang":"zh-TW"或"th-TH"表示原文語言'
+        : `${fromName}→${toName}`;
+    const langField = detectLanguage ? ',"lang":"原文語言代碼"' : '';
+    const genderHint = gender === 'female'
+        ? '說話者是女性，泰文句尾用ค่ะ(陳述)/คะ(疑問)，不要用ครับ。'
+        : '說話者是男性，泰文句尾用ครับ，不要用ค่ะ/คะ。';
+
+    return `工廠翻譯助手。${direction}。口語化翻譯。${genderHint}
+術語表：${formatGlossaryForPrompt()}${detectLanguage ? '' : formatCorrectionsForPrompt(fromLang, toLang)}
+若語意模糊（代詞不明、動作不具體如「弄一下」「那個」），用clarify格式反問。
+若語意清晰，用translate格式直接翻譯。
+只回JSON，不要markdown或code fence：
+清晰：{"type":"translate","original":"原文","translated":"譯文"${langField}}
+模糊：{"type":"clarify","question_source":"${fromName}問題","question_target":"${toName}問題","options":[{"source":"選項${fromName}","target":"選項${toName}","value":"明確句子"}]${langField}}`;
+}
+
+/**
+ * Build the single-turn prompt for translating a clarified option
+ */
+export function buildClarifyPrompt(clarifiedText, fromLang, toLang, gender = 'male', requiredTerms = []) {
+    const fromName = fromLang === 'zh-TW' ? '中文' : 'ไทย';
+    const toName = toLang === 'zh-TW' ? '中文' : 'ไทย';
+    const genderNote = gender === 'female' ? '，句尾用ค่ะ/คะ' : '，句尾用ครับ';
+
+    return `${fromName}→${toName}口語翻譯${genderNote}${formatRequiredTerms(requiredTerms)}，只回JSON不要markdown：{"type":"translate","original":"原文","translated":"譯文"}：${clarifiedText}`;
+}
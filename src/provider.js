@@ -0,0 +1,228 @@
+/**
+ * Translation provider registry
+ *
+ * Every provider implements the same interface; the active one is chosen in
+ * settings and stored in localStorage. Only Gemini counts against the free-tier
+ * quota tracked in quota.js.
+ *
+ * App code calls translate()/clarify() below, which put user corrections and the
+ * translation cache in front of the active provider and record quota usage on
+ * real requests only.
+ */
+
+import * as gemini from './gemini.js';
+import * as openai from './openai.js';
+import * as mock from './mock.js';
+import { recordRequest, canRequest } from './quota.js';
+import { getCached, hasCached, setCached, deleteCached } from './cache.js';
+import { getCorrection } from './corrections.js';
+
+const PROVIDER_KEY = 'translation_provider';
+const DEFAULT_PROVIDER = 'gemini';
+
+/**
+ * @typedef {Object} TranslationProvider
+ * @property {string} id
+ * @property {string} label
+ * @property {boolean} usesQuota - requests count against the Gemini quota
+ * @property {boolean} needsNetwork - unavailable while the device is offline
+ * @property {(text: string, fromLang: string, toLang: string, gender?: string, options?: Object) => Promise<Object>} translate
+ *   analyze + translate; resolves to a 'translate' or 'clarify' result
+ * @property {(clarifiedText: string, fromLang: string, toLang: string, gender?: string, options?: Object) => Promise<Object>} clarify
+ *   translate a clarified option; always resolves to a 'translate' result
+ * @property {() => Promise<{ ok: boolean, message: string }>} health
+ */
+
+/** @type {Map<string, TranslationProvider>} */
+const registry = new Map();
+
+/**
+ * Register a provider
+ * @param {TranslationProvider} provider
+ */
+export function registerProvider(provider) {
+    registry.set(provider.id, provider);
+}
+
+registerProvider({
+    id: 'gemini',
+    label: 'Google Gemini',
+    usesQuota: true,
+    needsNetwork: true,
+    translate: gemini.analyzeAndTranslate,
+    clarify: gemini.translateClarified,
+    health: gemini.checkHealth,
+});
+
+registerProvider({
+    id: 'openai',
+    label: '自架模型（OpenAI 相容）',
+    usesQuota: false,
+    needsNetwork: true,
+    translate: openai.analyzeAndTranslate,
+    clarify: openai.translateClarified,
+    health: openai.checkHealth,
+});
+
+registerProvider({
+    id: 'mock',
+    label: '模擬（離線示範）',
+    usesQuota: false,
+    needsNetwork: false,
+    translate: mock.analyzeAndTranslate,
+    clarify: mock.translateClarified,
+    health: mock.checkHealth,
+});
+
+/**
+ * List registered providers
+ * @returns {TranslationProvider[]}
+ */
+export function listProviders() {
+    return [...registry.values()];
+}
+
+/**
+ * Get the id of the selected provider
+ */
+export function getProviderId() {
+    const id = localStorage.getItem(PROVIDER_KEY);
+    return registry.has(id) ? id : DEFAULT_PROVIDER;
+}
+
+/**
+ * Select the provider to use
+ */
+export function setProviderId(id) {
+    if (!registry.has(id)) return;
+    localStorage.setItem(PROVIDER_KEY, id);
+}
+
+/**
+ * Get the active provider
+ * @returns {TranslationProvider}
+ */
+export function getProvider() {
+    return registry.get(getProviderId());
+}
+
+/**
+ * Pre-flight quota check for the active provider
+ * @returns {{ allowed: boolean, reason?: string, scope?: 'day' | 'minute' }}
+ */
+export function canTranslate() {
+    return getProvider().usesQuota ? canRequest() : { allowed: true };
+}
+
+/**
+ * Record one request against the quota if the active provider uses it
+ */
+export function recordUsage() {
+    if (getProvider().usesQuota) recordRequest();
+}
+
+/**
+ * Whether translation must fall back to the offline phrasebook:
+ * the device is offline, or today's quota is used up
+ */
+export function needsOfflineFallback() {
+    const provider = getProvider();
+    if (provider.needsNetwork && !navigator.onLine) return true;
+    return canTranslate().scope === 'day';
+}
+
+/**
+ * A user correction for this phrase as a 'translate' result, or null
+ */
+function correctedResult(text, fromLang, toLang, gender) {
+    const fix = getCorrection(text, fromLang, toLang, gender);
+    return fix ? { type: 'translate', original: text, translated: fix.corrected, corrected: true } : null;
+}
+
+// Corrections apply to any call that doesn't detect the language;
+// the cache only to calls without conversation context, which its key doesn't cover
+function usesCorrections(options) {
+    return !options.detectLanguage;
+}
+
+function usesCache(options) {
+    return usesCorrections(options) && !options.history?.length;
+}
+
+/**
+ * Whether translate() could answer without a provider request (a correction or a cache hit),
+ * so it can go ahead even when the quota check refuses
+ * @returns {Promise<boolean>}
+ */
+export async function hasLocalAnswer(text, fromLang, toLang, gender = 'male', options = {}) {
+    if (!usesCorrections(options)) return false;
+    if (correctedResult(text, fromLang, toLang, gender)) return true;
+    return usesCache(options) && hasCached(getProvider().id, text, fromLang, toLang, gender);
+}
+
+/**
+ * Analyze and translate with the active provider, answering from corrections or the cache when possible.
+ * Context-dependent calls (auto language detection, conversation history) bypass the cache;
+ * only history-free calls are stored in it.
+ * @returns {Promise<Object>} provider result; `corrected: true` / `cached: true` when not from the provider
+ */
+export async function translate(text, fromLang, toLang, gender = 'male', options = {}) {
+    const provider = getProvider();
+
+    if (usesCorrections(options)) {
+        const fixed = correctedResult(text, fromLang, toLang, gender);
+        if (fixed) return fixed;
+    }
+    if (usesCache(options)) {
+        const hit = await getCached(provider.id, text, fromLang, toLang, gender);
+        if (hit) return { ...hit, cached: true };
+    }
+
+    const result = await provider.translate(text, fromLang, toLang, gender, options);
+    recordUsage();
+    if (usesCache(options)) {
+        await setCached(provider.id, text, fromLang, toLang, gender, result);
+    }
+    return result;
+}
+
+/**
+ * Translate a clarified option with the active provider, answering from corrections or the cache when possible
+ * @returns {Promise<Object>} 'translate' result; `corrected: true` / `cached: true` when not from the provider
+ */
+export async function clarify(clarifiedText, fromLang, toLang, gender = 'male', options = {}) {
+    const provider = getProvider();
+
+    if (!options.requiredTerms) {
+        const fixed = correctedResult(clarifiedText, fromLang, toLang, gender);
+        if (fixed) return fixed;
+        const hit = await getCached(provider.id, clarifiedText, fromLang, toLang, gender);
+        if (hit) return { ...hit, cached: true };
+    }
+
+    const result = await provider.clarify(clarifiedText, fromLang, toLang, gender, options);
+    recordUsage();
+    await setCached(provider.id, clarifiedText, fromLang, toLang, gender, result);
+    return result;
+}
+
+/**
+ * Translate a result back into the source language for verification.
+ * Always a real request (no cache), counted against the quota like any other.
+ * @param {string} translated - text in toLang
+ * @returns {Promise<string>} the back-translation, in fromLang
+ */
+export async function backTranslate(translated, fromLang, toLang, gender = 'male') {
+    const check = canTranslate();
+    if (!check.allowed) throw new Error(check.reason);
+    const result = await getProvider().clarify(translated, toLang, fromLang, gender);
+    recordUsage();
+    return result.translated;
+}
+
+/**
+ * Drop a translation from the active provider's cache so the next request asks the model again
+ */
+export function forgetTranslation(text, fromLang, toLang, gender = 'male') {
+    return deleteCached(getProvider().id, text, fromLang, toLang, gender);
+}
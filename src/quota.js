@@ -107,10 +107,6 @@ export function getQuota() {
     };
 }
 
-/**
- * Check if we can make a request (pre-flight check)
- * @returns {{ allowed: boolean, reason?: string }}
- */
 /**
  * Reset all usage counters
  */
@@ -118,13 +114,17 @@ export function resetQuota() {
     localStorage.removeItem(STORAGE_KEY);
 }
 
+/**
+ * Check if we can make a request (pre-flight check)
+ * @returns {{ allowed: boolean, reason?: string, scope?: 'day' | 'minute' }}
+ */
 export function canRequest() {
     const q = getQuota();
     if (q.rpd.remaining <= 0) {
-        return { allowed: false, reason: '今日 API 額度已用完（250次/天），明天重置' };
+        return { allowed: false, reason: '今日 API 額度已用完（250次/天），明天重置', scope: 'day' };
     }
     if (q.rpm.remaining <= 0) {
-        return { allowed: false, reason: `每分鐘額度已滿，${q.rpm.resetInSec} 秒後可用` };
+        return { allowed: false, reason: `每分鐘額度已滿，${q.rpm.resetInSec} 秒後可用`, scope: 'minute' };
     }
     return { allowed: true };
 }
@@ -0,0 +1,105 @@
+/**
+ * Session replay - shows a past conversation session in the chat view, read-only,
+ * and can play every turn's translation back in order through the playback queue.
+ */
+
+import { enqueue, clearQueue, whenPlaybackDone } from './playback.js';
+import { getSession, formatTime } from './history.js';
+import { showScreen, clearChat, addSourceBubble, addTranslationBubble, showToast } from './ui.js';
+import { directionLabel } from './lang.js';
+
+const $ = (sel) => document.querySelector(sel);
+
+let turns = [];
+let bubbles = [];
+let playing = false;
+let playRun = 0; // bumped on stop, so an interrupted run doesn't reset a newer one's button
+
+/**
+ * Whether the chat view is currently showing a replay
+ */
+export function isReplaying() {
+    return $('#translate-screen').classList.contains('replaying');
+}
+
+// Voice the turn was spoken in; entries saved before it was recorded use the current setting
+function voiceOf(turn) {
+    return turn.gender || localStorage.getItem('voice_gender') || 'male';
+}
+
+/**
+ * Open a session in the chat view
+ * @param {string} sessionId
+ */
+export async function startReplay(sessionId) {
+    turns = await getSession(sessionId);
+    if (turns.length === 0) {
+        showToast('找不到這段對話');
+        return;
+    }
+
+    clearChat();
+    bubbles = turns.map((t) => {
+        addSourceBubble(t.original, t.fromLang, directionLabel(t.fromLang, t.toLang));
+        return addTranslationBubble(t.corrected || t.translated, t.toLang, t.note, voiceOf(t), { autoPlay: false });
+    });
+
+    $('#mode-label').textContent = `📼 對話回放 · ${formatTime(turns[0].timestamp)}`;
+    $('#translate-screen').classList.add('replaying');
+    updatePlayButton();
+    showScreen('translate-screen');
+}
+
+/**
+ * Leave replay mode (stops playback)
+ */
+export function stopReplay() {
+    stopPlayback();
+    $('#translate-screen').classList.remove('replaying');
+    turns = [];
+    bubbles = [];
+}
+
+/**
+ * Play all turns in order, or stop if already playing
+ */
+export async function togglePlayback() {
+    if (playing) {
+        stopPlayback();
+        return;
+    }
+
+    const run = ++playRun;
+    playing = true;
+    updatePlayButton();
+    clearQueue();
+    turns.forEach((turn, i) => {
+        const bubble = bubbles[i];
+        enqueue({
+            text: turn.corrected || turn.translated,
+            lang: turn.toLang,
+            gender: voiceOf(turn),
+            onState: (state) => {
+                bubble.classList.toggle('queued', state === 'queued');
+                bubble.classList.toggle('playing', state === 'playing');
+                if (state === 'playing') bubble.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            },
+        });
+    });
+    await whenPlaybackDone();
+    if (run !== playRun) return;
+    playing = false;
+    updatePlayButton();
+}
+
+function stopPlayback() {
+    if (!playing) return;
+    playRun++;
+    playing = false;
+    clearQueue();
+    updatePlayButton();
+}
+
+function updatePlayButton() {
+    $('#btn-replay-play').textContent = playing ? '⏹ 停止播放' : '▶️ 依序播放';
+}
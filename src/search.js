@@ -0,0 +1,106 @@
+/**
+ * Search helpers - normalization and highlighting for history search
+ *
+ * Matching ignores case, Thai tone marks and above/below vowel signs (so typing
+ * order and missing marks don't matter), and Traditional vs Simplified Chinese.
+ * Both sides are folded to one form; highlighting maps matches back to the
+ * original text.
+ */
+
+// Traditional → Simplified for common characters (pairs: trad + simp)
+const TRAD_SIMP_PAIRS =
+    '機机 關关 開开 門门 們们 個个 這这 對对 還还 來来 時时 間间 問问 題题 頭头 說说 話话 讓让 請请 謝谢 ' +
+    '認认 識识 讀读 語语 譯译 聽听 見见 現现 電电 動动 產产 産产 業业 廠厂 準准 備备 質质 檢检 驗验 測测 ' +
+    '試试 組组 裝装 線线 貨货 車车 輛辆 倉仓 庫库 東东 買买 賣卖 錢钱 價价 數数 單单 號号 碼码 壞坏 換换 ' +
+    '帶带 護护 鏡镜 熱热 燙烫 險险 醫医 藥药 傷伤 體体 樣样 為为 會会 學学 習习 長长 發发 後后 麼么 沒没 ' +
+    '處处 務务 點点 邊边 裡里 裏里 過过 進进 從从 給给 幫帮 應应 該该 經经 歲岁 週周 飯饭 麵面 雞鸡 魚鱼 ' +
+    '員员 專专 責责 負负 記记 錄录 報报 簽签 資资 勞劳 節节 聯联 絡络 統统 設设 計计 劃划 畫画 圖图 書书 ' +
+    '寫写 筆笔 紙纸 張张 條条 塊块 盤盘 鐵铁 鋼钢 銅铜 鋁铝 鍋锅 爐炉 氣气 壓压 燈灯 輪轮 軸轴 絲丝 釘钉 ' +
+    '錯错 誤误 確确 實实 際际 總总 結结 續续 斷断 閉闭 啟启 運运 轉转 區区 場场 樓楼 層层 廁厕 鑰钥 紅红 ' +
+    '綠绿 藍蓝 黃黄 顏颜 亂乱 髒脏 乾干 淨净 掃扫 歡欢 樂乐 愛爱 難难 緊紧 鬆松 輕轻 嗎吗 幾几 雙双 兩两 ' +
+    '萬万 億亿 當当 著着 將将 與与 並并 於于 無无 師师 覺觉 親亲 舊旧 廢废 棄弃 參参 練练 級级 標标 規规 ' +
+    '範范 則则 維维 養养 衛卫 環环 溫温 濕湿 燒烧 滅灭 災灾 異异 狀状 況况 變变 調调 慣惯 顯显 鍵键 鈕钮 ' +
+    '啓启 齒齿 輸输 纜缆 網网 領领 導导 議议 決决 訂订 購购 貼贴 籤签 剛刚 纔才 夠够 舉举 辦办 滿满 陳陈 ' +
+    '劉刘 趙赵 楊杨 吳吴 鄭郑 馬马';
+
+const TRAD_TO_SIMP = new Map();
+for (const pair of TRAD_SIMP_PAIRS.split(' ')) {
+    const [trad, simp] = [...pair];
+    if (trad !== simp) TRAD_TO_SIMP.set(trad, simp);
+}
+
+// Thai marks that sit above/below the consonant: tone marks, vowel signs, thanthakhat, nikhahit...
+const THAI_COMBINING = /[\u0E31\u0E34-\u0E3A\u0E47-\u0E4E]/;
+
+/**
+ * Fold one character for matching; '' means "ignore this character"
+ */
+function foldChar(ch) {
+    if (THAI_COMBINING.test(ch)) return '';
+    if (ch === '\u0E33') return '\u0E32'; // sara am: its nikhahit half is dropped like other marks
+    return TRAD_TO_SIMP.get(ch) || ch.toLowerCase();
+}
+
+/**
+ * Normalize text for search comparison
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizeForSearch(text) {
+    let out = '';
+    for (const ch of (text || '').normalize('NFC')) out += foldChar(ch);
+    return out;
+}
+
+/**
+ * Fold text and remember which original index each folded character came from
+ */
+function foldWithMap(text) {
+    const chars = [...text];
+    let folded = '';
+    // folded UTF-16 index → original char index; one entry per code unit, the units indexOf counts in
+    const map = [];
+    chars.forEach((ch, i) => {
+        const f = foldChar(ch);
+        folded += f;
+        for (let k = 0; k < f.length; k++) map.push(i);
+    });
+    return { chars, folded, map };
+}
+
+function escHtml(str) {
+    const d = document.createElement('div');
+    d.textContent = str || '';
+    return d.innerHTML;
+}
+
+/**
+ * Escape text for HTML and wrap every match of `query` in <mark>
+ * @param {string} text
+ * @param {string} query - raw search input
+ * @returns {string} HTML
+ */
+export function highlight(text, query) {
+    const q = normalizeForSearch(query);
+    if (!q || !text) return escHtml(text);
+
+    const { chars, folded, map } = foldWithMap(text.normalize('NFC'));
+    const ranges = [];
+    for (let pos = folded.indexOf(q); pos !== -1; pos = folded.indexOf(q, pos + q.length)) {
+        const start = map[pos];
+        let end = map[pos + q.length - 1] + 1;
+        // Keep trailing marks (tone marks etc.) of the last matched character inside the highlight
+        while (end < chars.length && foldChar(chars[end]) === '') end++;
+        ranges.push([start, end]);
+    }
+    if (ranges.length === 0) return escHtml(text);
+
+    let html = '';
+    let last = 0;
+    for (const [start, end] of ranges) {
+        html += escHtml(chars.slice(last, start).join(''));
+        html += `<mark>${escHtml(chars.slice(start, end).join(''))}</mark>`;
+        last = end;
+    }
+    return html + escHtml(chars.slice(last).join(''));
+}
@@ -1,17 +1,128 @@
 /**
- * Web Speech API wrapper for STT and TTS
+ * Speech recognition engines and TTS
+ *
+ * STT goes through a registry of engines with one interface, chosen in
+ * settings and stored in localStorage (like translation providers):
+ * the browser's Web Speech API (default), recorded audio sent to Gemini or a
+ * Whisper-compatible server, and a scripted fake for testing without a mic.
  */
 
+import { isRecorderSupported, recordAndTranscribe, stopRecording, abortRecording, transcribeWithGemini, transcribeWithWhisper } from './transcribe.js';
+import { fakeListen, fakeStop } from './mock.js';
+import { resolveVoice, getVoiceSettings, isVoiceMissing, getNoVoiceFallback } from './voices.js';
+
+const ENGINE_KEY = 'stt_engine';
+const DEFAULT_ENGINE = 'webspeech';
+
 let recognition = null;
 let isListening = false;
+let activeSpeech = null; // promise of the utterance currently playing
+let noVoiceHandler = null;
+
+/**
+ * @typedef {Object} SpeechEngine
+ * @property {string} id
+ * @property {string} label
+ * @property {boolean} interim - reports live interim text
+ * @property {() => boolean} isSupported
+ * @property {(lang: string, options: Object) => Promise<{ text: string, alternatives: string[] }>} listen
+ *   see listen() below for the options
+ * @property {() => void} stop - end the turn; what was heard so far is still returned
+ * @property {() => void} abort - end the turn and discard it
+ */
+
+/** @type {Map<string, SpeechEngine>} */
+const engines = new Map();
+
+/**
+ * Register a speech recognition engine
+ * @param {SpeechEngine} engine
+ */
+export function registerEngine(engine) {
+    engines.set(engine.id, engine);
+}
+
+function hasWebSpeech() {
+    return !!(window.SpeechRecognition || window.webkitSpeechRecognition);
+}
+
+registerEngine({
+    id: 'webspeech',
+    label: '瀏覽器內建（Chrome）',
+    interim: true,
+    isSupported: hasWebSpeech,
+    listen: webSpeechListen,
+    stop: () => stopRecognition('stop'),
+    abort: () => stopRecognition('abort'),
+});
+
+registerEngine({
+    id: 'gemini-audio',
+    label: '錄音 + Gemini 辨識',
+    interim: false,
+    isSupported: isRecorderSupported,
+    listen: (lang, options) => recordAndTranscribe(lang, options, transcribeWithGemini),
+    stop: stopRecording,
+    abort: abortRecording,
+});
+
+registerEngine({
+    id: 'whisper',
+    label: '錄音 + 自架 Whisper 伺服器',
+    interim: false,
+    isSupported: isRecorderSupported,
+    listen: (lang, options) => recordAndTranscribe(lang, options, transcribeWithWhisper),
+    stop: stopRecording,
+    abort: abortRecording,
+});
+
+registerEngine({
+    id: 'fake',
+    label: '模擬（固定腳本，測試用）',
+    interim: true,
+    isSupported: () => true,
+    listen: fakeListen,
+    stop: () => fakeStop(false),
+    abort: () => fakeStop(true),
+});
+
+/**
+ * List registered engines
+ * @returns {SpeechEngine[]}
+ */
+export function listEngines() {
+    return [...engines.values()];
+}
 
 /**
- * Check if Web Speech API is supported
+ * Get the id of the selected engine
+ */
+export function getEngineId() {
+    const id = localStorage.getItem(ENGINE_KEY);
+    return engines.has(id) ? id : DEFAULT_ENGINE;
+}
+
+/**
+ * Select the engine to use
+ */
+export function setEngineId(id) {
+    if (!engines.has(id)) return;
+    localStorage.setItem(ENGINE_KEY, id);
+}
+
+/**
+ * Get the active engine
+ * @returns {SpeechEngine}
+ */
+export function getEngine() {
+    return engines.get(getEngineId());
+}
+
+/**
+ * Check if the selected speech recognition engine works in this browser
  */
 export function isSpeechSupported() {
-    return !!(
-        window.SpeechRecognition || window.webkitSpeechRecognition
-    );
+    return getEngine().isSupported();
 }
 
 /**
@@ -20,6 +131,46 @@ export function isSpeechSupported() {
  * @returns {Promise<string>} recognized text
  */
 export function startListening(lang) {
+    return listen(lang).then((result) => result.text);
+}
+
+/**
+ * Whole-transcript alternatives: the best transcript, then variants that swap
+ * one segment for one of its alternatives
+ * @param {string[][]} segmentAlts - per final segment, its alternatives best first
+ * @param {number} max
+ */
+function combineAlternatives(segmentAlts, max) {
+    const best = segmentAlts.map((alts) => alts[0]);
+    const results = [best.join('')];
+    segmentAlts.forEach((alts, i) => {
+        alts.slice(1).forEach((alt) => {
+            const text = [...best.slice(0, i), alt, ...best.slice(i + 1)].join('');
+            if (!results.includes(text)) results.push(text);
+        });
+    });
+    return results.slice(0, max);
+}
+
+/**
+ * Start listening with the selected engine, with live interim text and alternative transcripts
+ * @param {'zh-TW' | 'th-TH'} lang
+ * @param {Object} [options]
+ * @param {(text: string) => void} [options.onInterim] - called with the transcript so far while speaking
+ * @param {number} [options.maxAlternatives] - alternative transcripts to collect (default 1)
+ * @param {boolean} [options.continuous] - keep listening across pauses until stopListening (default true);
+ *   false ends the turn at the first pause
+ * @returns {Promise<{ text: string, alternatives: string[] }>} alternatives start with `text`; empty when nothing was heard
+ */
+export function listen(lang, options = {}) {
+    return getEngine().listen(lang, options);
+}
+
+/**
+ * Web Speech API engine
+ */
+function webSpeechListen(lang, options = {}) {
+    const maxAlternatives = options.maxAlternatives || 1;
     return new Promise((resolve, reject) => {
         const SpeechRecognition =
             window.SpeechRecognition || window.webkitSpeechRecognition;
@@ -37,27 +188,42 @@ export function startListening(lang) {
 
         recognition = new SpeechRecognition();
         recognition.lang = lang;
-        recognition.interimResults = false;
-        recognition.continuous = true; // Keep listening until user releases
-        recognition.maxAlternatives = 1;
+        recognition.interimResults = !!options.onInterim;
+        recognition.continuous = options.continuous !== false; // Keep listening until user releases
+        recognition.maxAlternatives = maxAlternatives;
+
+        let segments = []; // Accumulate all recognized segments, each as its list of alternatives
 
-        let segments = []; // Accumulate all recognized segments
+        const rec = recognition;
+        const finish = () => {
+            if (rec.discarded) {
+                resolve({ text: '', alternatives: [] });
+                return;
+            }
+            const alternatives = segments.length ? combineAlternatives(segments, maxAlternatives) : [];
+            resolve({ text: alternatives[0] || '', alternatives });
+        };
 
         recognition.onresult = (event) => {
             // Collect all new final results
+            let interim = '';
             for (let i = event.resultIndex; i < event.results.length; i++) {
-                if (event.results[i].isFinal) {
-                    segments.push(event.results[i][0].transcript);
+                const result = event.results[i];
+                if (result.isFinal) {
+                    segments.push(Array.from(result, (alt) => alt.transcript));
+                } else {
+                    interim += result[0].transcript;
                 }
             }
             console.log('STT segments so far:', segments);
+            if (options.onInterim) options.onInterim(segments.map((alts) => alts[0]).join('') + interim);
         };
 
         recognition.onerror = (event) => {
             console.warn('STT error:', event.error);
             isListening = false;
             if (event.error === 'no-speech' || event.error === 'aborted') {
-                resolve(segments.join(''));
+                finish();
             } else {
                 reject(new Error(`語音辨識錯誤: ${event.error}`));
             }
@@ -66,7 +232,7 @@ export function startListening(lang) {
         recognition.onend = () => {
             console.log('STT ended, segments:', segments);
             isListening = false;
-            resolve(segments.join(''));
+            finish();
         };
 
         isListening = true;
@@ -76,12 +242,24 @@ export function startListening(lang) {
 }
 
 /**
- * Stop listening
+ * Stop listening; what was heard so far is still returned
  */
 export function stopListening() {
+    getEngine().stop();
+}
+
+/**
+ * Stop listening and discard the turn
+ */
+export function abortListening() {
+    getEngine().abort();
+}
+
+function stopRecognition(method) {
     if (recognition) {
+        if (method === 'abort') recognition.discarded = true;
         try {
-            recognition.stop();
+            recognition[method]();
         } catch (e) {
             console.warn('stopListening error:', e);
         }
@@ -89,13 +267,36 @@ export function stopListening() {
 }
 
 /**
- * Speak text using TTS
+ * Show text instead of speaking it when no voice is installed for the language
+ * @param {(text: string, lang: string) => Promise<void>} handler - resolves when the text is dismissed
+ */
+export function setNoVoiceHandler(handler) {
+    noVoiceHandler = handler;
+}
+
+/**
+ * Whether speak() shows the text full screen for this language instead of speaking it
+ * @param {'zh-TW' | 'th-TH'} lang
+ */
+export function showsTextInstead(lang) {
+    return !!noVoiceHandler && isVoiceMissing(lang) && getNoVoiceFallback() === 'large-text';
+}
+
+/**
+ * Speak text using TTS, with the pinned voice and the rate/pitch/volume from voice settings
  * @param {string} text
  * @param {'zh-TW' | 'th-TH'} lang
+ * @param {'male' | 'female'} [gender]
+ * @param {{ voice?: SpeechSynthesisVoice, rateScale?: number }} [options] - voice: preview a specific voice;
+ *   rateScale: multiply the configured rate (slow replay)
  * @returns {Promise<void>}
  */
-export function speak(text, lang, gender = 'male') {
-    return new Promise((resolve) => {
+export function speak(text, lang, gender = 'male', options = {}) {
+    if (!options.voice && showsTextInstead(lang)) {
+        return track(noVoiceHandler(text, lang));
+    }
+
+    return track(new Promise((resolve) => {
         if (!window.speechSynthesis) {
             console.warn('TTS not supported');
             resolve();
@@ -108,31 +309,16 @@ export function speak(text, lang, gender = 'male') {
         // Chrome bug: need a small delay after cancel() before speaking
         setTimeout(() => {
             const utterance = new SpeechSynthesisUtterance(text);
+            const resolved = resolveVoice(lang, gender);
+            const voice = options.voice || resolved.voice;
             utterance.lang = lang;
-            utterance.rate = 0.9;
-            utterance.pitch = 1;
-            utterance.volume = 1;
-
-            // Find a matching voice, preferring requested gender
-            const voices = window.speechSynthesis.getVoices();
-            console.log('Available voices:', voices.length, 'Looking for:', lang, gender);
-            const langPrefix = lang.split('-')[0];
-            const langVoices = voices.filter(
-                (v) => v.lang === lang || v.lang.startsWith(langPrefix)
-            );
-
-            // Try to match gender by voice name heuristics
-            const genderKeywords = gender === 'female'
-                ? ['female', 'woman', 'girl', 'หญิง', '女']
-                : ['male', 'man', 'boy', 'ชาย', '男'];
-            const genderMatch = langVoices.find((v) =>
-                genderKeywords.some((kw) => v.name.toLowerCase().includes(kw))
-            );
+            utterance.rate = resolved.rate * (options.rateScale || 1);
+            utterance.pitch = options.voice ? getVoiceSettings(lang).pitch : resolved.pitch;
+            utterance.volume = resolved.volume;
 
-            const matchedVoice = genderMatch || langVoices[0] || null;
-            if (matchedVoice) {
-                utterance.voice = matchedVoice;
-                console.log('Using voice:', matchedVoice.name, matchedVoice.lang);
+            if (voice) {
+                utterance.voice = voice;
+                console.log('Using voice:', voice.name, voice.lang, options.voice ? 'preview' : resolved.how);
             } else {
                 console.warn('No voice found for', lang, '- using default');
             }
@@ -156,7 +342,26 @@ export function speak(text, lang, gender = 'male') {
             // Safety timeout - resolve after 30s max
             setTimeout(() => resolve(), 30000);
         }, 100);
+    }));
+}
+
+/**
+ * Remember the playing utterance so whenSpeechDone() can wait for it
+ */
+function track(speech) {
+    activeSpeech = speech;
+    speech.then(() => {
+        if (activeSpeech === speech) activeSpeech = null;
     });
+    return speech;
+}
+
+/**
+ * Wait until nothing is being spoken (including speech started while waiting)
+ * @returns {Promise<void>}
+ */
+export async function whenSpeechDone() {
+    while (activeSpeech) await activeSpeech;
 }
 
 // Store loaded voices
@@ -0,0 +1,242 @@
+/**
+ * Recorded-audio speech recognition: capture with MediaRecorder, then send the
+ * clip to a transcription backend (Gemini audio input, or a self-hosted
+ * Whisper-compatible `/audio/transcriptions` server).
+ *
+ * Used where the browser's own SpeechRecognition is missing or poor at Thai.
+ * There are no interim results; with `continuous: false` a simple level meter
+ * ends the turn after a pause, so hands-free mode works too.
+ */
+
+import { getApiKey, getModel } from './gemini.js';
+import { canRequest, recordRequest } from './quota.js';
+
+const GEMINI_API_BASE = 'https://generativelanguage.googleapis.com/v1beta/models';
+const WHISPER_URL_KEY = 'whisper_base_url';
+const WHISPER_MODEL_KEY = 'whisper_model';
+const WHISPER_API_KEY_KEY = 'whisper_api_key';
+const DEFAULT_WHISPER_MODEL = 'whisper-1';
+
+// Pause detection for single-turn recording
+const SILENCE_LEVEL = 0.02; // RMS below this counts as silence
+const SILENCE_END_MS = 1200; // pause after speech that ends the turn
+const NO_SPEECH_MS = 8000; // give up when nothing is said
+const MAX_RECORDING_MS = 60000;
+
+const LANG_NAMES = { 'zh-TW': '繁體中文（台灣）', 'th-TH': '泰文' };
+
+let active = null; // { recorder, stream, audioCtx, timer, stopped, aborted }
+
+/**
+ * Get Whisper-compatible server settings
+ * @returns {{ baseUrl: string, model: string, apiKey: string }}
+ */
+export function getWhisperSettings() {
+    return {
+        baseUrl: localStorage.getItem(WHISPER_URL_KEY) || '',
+        model: localStorage.getItem(WHISPER_MODEL_KEY) || '',
+        apiKey: localStorage.getItem(WHISPER_API_KEY_KEY) || '',
+    };
+}
+
+/**
+ * Save Whisper-compatible server settings (empty values are removed)
+ * @param {{ baseUrl?: string, model?: string, apiKey?: string }} settings
+ */
+export function setWhisperSettings({ baseUrl, model, apiKey }) {
+    const set = (key, value) => {
+        if (value) localStorage.setItem(key, value.trim());
+        else localStorage.removeItem(key);
+    };
+    set(WHISPER_URL_KEY, (baseUrl || '').trim().replace(/\/+$/, ''));
+    set(WHISPER_MODEL_KEY, model);
+    set(WHISPER_API_KEY_KEY, apiKey);
+}
+
+/**
+ * Whether audio can be recorded in this browser
+ */
+export function isRecorderSupported() {
+    return !!(window.MediaRecorder && navigator.mediaDevices?.getUserMedia);
+}
+
+/**
+ * End the turn at the first pause after speech (or when nothing is said)
+ */
+function watchForPause(stream, recorder) {
+    const audioCtx = new (window.AudioContext || window.webkitAudioContext)();
+    const analyser = audioCtx.createAnalyser();
+    analyser.fftSize = 1024;
+    audioCtx.createMediaStreamSource(stream).connect(analyser);
+    const samples = new Float32Array(analyser.fftSize);
+    const startedAt = Date.now();
+    let heardAt = 0;
+
+    const timer = setInterval(() => {
+        analyser.getFloatTimeDomainData(samples);
+        const rms = Math.sqrt(samples.reduce((sum, v) => sum + v * v, 0) / samples.length);
+        const now = Date.now();
+        if (rms > SILENCE_LEVEL) heardAt = now;
+        const paused = heardAt && now - heardAt > SILENCE_END_MS;
+        const nothing = !heardAt && now - startedAt > NO_SPEECH_MS;
+        if ((paused || nothing) && recorder.state === 'recording') recorder.stop();
+    }, 100);
+    return { audioCtx, timer };
+}
+
+function release(session) {
+    clearInterval(session.timer);
+    clearTimeout(session.limit);
+    session.audioCtx?.close();
+    session.stream?.getTracks().forEach((t) => t.stop());
+    if (active === session) active = null;
+}
+
+/**
+ * Record until stopRecording() (or a pause, when not continuous), then transcribe
+ * @param {'zh-TW' | 'th-TH'} lang
+ * @param {{ continuous?: boolean }} options
+ * @param {(audio: Blob, lang: string) => Promise<string>} transcribe
+ * @returns {Promise<{ text: string, alternatives: string[] }>}
+ */
+export async function recordAndTranscribe(lang, options, transcribe) {
+    if (!isRecorderSupported()) throw new Error('此瀏覽器不支援錄音');
+    stopRecording();
+
+    // Registered before the microphone prompt, so a stop or abort that comes
+    // while getUserMedia is pending is remembered and applied below
+    const session = {};
+    active = session;
+    try {
+        session.stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    } catch (err) {
+        release(session);
+        throw err;
+    }
+    if (session.stopped || session.aborted) {
+        release(session);
+        return { text: '', alternatives: [] };
+    }
+
+    const { stream } = session;
+    const recorder = new MediaRecorder(stream);
+    const chunks = [];
+    session.recorder = recorder;
+
+    if (options.continuous === false) Object.assign(session, watchForPause(stream, recorder));
+    session.limit = setTimeout(() => {
+        if (recorder.state === 'recording') recorder.stop();
+    }, MAX_RECORDING_MS);
+
+    const audio = await new Promise((resolve, reject) => {
+        recorder.ondataavailable = (e) => {
+            if (e.data.size) chunks.push(e.data);
+        };
+        recorder.onstop = () => resolve(new Blob(chunks, { type: recorder.mimeType }));
+        recorder.onerror = (e) => reject(e.error || new Error('錄音失敗'));
+        recorder.start();
+        console.log('Recording started, lang:', lang, recorder.mimeType);
+    }).finally(() => release(session));
+
+    if (session.aborted || audio.size === 0) return { text: '', alternatives: [] };
+    const text = (await transcribe(audio, lang)).trim();
+    return { text, alternatives: text ? [text] : [] };
+}
+
+/**
+ * Stop the current recording; it is then transcribed
+ */
+export function stopRecording() {
+    if (!active) return;
+    active.stopped = true;
+    if (active.recorder?.state === 'recording') active.recorder.stop();
+}
+
+/**
+ * Stop the current recording and discard it
+ */
+export function abortRecording() {
+    if (!active) return;
+    active.aborted = true;
+    stopRecording();
+}
+
+function blobToBase64(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(String(reader.result).split(',')[1]);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+/**
+ * Transcribe with Gemini audio input (counts against the Gemini quota)
+ * @param {Blob} audio
+ * @param {'zh-TW' | 'th-TH'} lang
+ * @returns {Promise<string>}
+ */
+export async function transcribeWithGemini(audio, lang) {
+    const apiKey = getApiKey();
+    if (!apiKey) throw new Error('尚未設定 API Key');
+    const check = canRequest();
+    if (!check.allowed) throw new Error(check.reason);
+
+    const response = await fetch(`${GEMINI_API_BASE}/${getModel()}:generateContent?key=${apiKey}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            contents: [{
+                role: 'user',
+                parts: [
+                    { text: `逐字聽寫這段${LANG_NAMES[lang]}語音（工廠環境，可能有機器噪音）。只回聽寫文字，不要翻譯或說明；沒有人聲就回空白。` },
+                    { inline_data: { mime_type: audio.type.split(';')[0] || 'audio/webm', data: await blobToBase64(audio) } },
+                ],
+            }],
+            generationConfig: { temperature: 0, thinkingConfig: { thinkingBudget: 0 } },
+        }),
+    });
+    recordRequest();
+
+    if (!response.ok) {
+        const errBody = await response.text();
+        console.error(`Gemini transcription error (${response.status}):`, errBody);
+        if (response.status === 429) throw new Error('API 限流：請求太頻繁，請稍後再試');
+        if (response.status === 403) throw new Error('API Key 無效或已過期，請到設定更換 API Key');
+        throw new Error(`語音辨識錯誤 (${response.status})`);
+    }
+    const data = await response.json();
+    return data.candidates?.[0]?.content?.parts?.map((p) => p.text || '').join('') || '';
+}
+
+/**
+ * Transcribe with a Whisper-compatible server (OpenAI `/audio/transcriptions` API)
+ * @param {Blob} audio
+ * @param {'zh-TW' | 'th-TH'} lang
+ * @returns {Promise<string>}
+ */
+export async function transcribeWithWhisper(audio, lang) {
+    const { baseUrl, model, apiKey } = getWhisperSettings();
+    if (!baseUrl) throw new Error('請先設定語音辨識伺服器網址');
+
+    const ext = audio.type.includes('mp4') ? 'mp4' : audio.type.includes('ogg') ? 'ogg' : 'webm';
+    const form = new FormData();
+    form.append('file', audio, `speech.${ext}`);
+    form.append('model', model || DEFAULT_WHISPER_MODEL);
+    form.append('language', lang.split('-')[0]);
+    form.append('response_format', 'json');
+
+    const response = await fetch(`${baseUrl}/audio/transcriptions`, {
+        method: 'POST',
+        headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+        body: form,
+    });
+    if (!response.ok) {
+        const errBody = await response.text();
+        console.error(`Whisper API error (${response.status}):`, errBody);
+        if (response.status === 401 || response.status === 403) throw new Error('語音辨識伺服器的 API Key 無效');
+        throw new Error(`語音辨識伺服器錯誤 (${response.status})`);
+    }
+    const data = await response.json();
+    return data.text || '';
+}
@@ -2,7 +2,7 @@
  * UI module - handles DOM interactions
  */
 
-import { speak } from './speech.js';
+import { enqueue, playNow, isAutoPlayEnabled } from './playback.js';
 
 const $ = (sel) => document.querySelector(sel);
 
@@ -16,9 +16,15 @@ export function showScreen(id) {
 
 /**
  * Set mode label text
+ * @param {'supervisor' | 'worker'} role
+ * @param {boolean} [auto] - direction is detected per turn
  */
-export function setModeLabel(role) {
+export function setModeLabel(role, auto = false) {
     const label = $('#mode-label');
+    if (auto) {
+        label.textContent = '自動偵測 · 中文 ⇄ ไทย';
+        return;
+    }
     label.textContent =
         role === 'supervisor'
             ? '主管模式 · 中文 → 泰文'
@@ -49,8 +55,11 @@ function removePlaceholder() {
 
 /**
  * Add a source message bubble (what the user said)
+ * @param {string} text
+ * @param {'zh-TW' | 'th-TH'} lang
+ * @param {string} [directionTag] - e.g. "中 → ไทย", shown when the direction was auto-detected
  */
-export function addSourceBubble(text, lang) {
+export function addSourceBubble(text, lang, directionTag = '') {
     removePlaceholder();
     const chatArea = $('#chat-area');
     const labelText = lang === 'zh-TW' ? '你說的' : 'ที่คุณพูด';
@@ -58,41 +67,166 @@ export function addSourceBubble(text, lang) {
     const div = document.createElement('div');
     div.className = 'chat-msg source';
     div.innerHTML = `
-    <div class="bubble-label">${labelText}</div>
+    <div class="bubble-label">${labelText}${directionTag ? ` <span class="direction-tag">${escapeHtml(directionTag)}</span>` : ''}</div>
     <div class="bubble">${escapeHtml(text)}</div>
   `;
     chatArea.appendChild(div);
     scrollToBottom();
 }
 
+// Bubble element → playback item factory (uses the corrected text, if any)
+const bubblePlayback = new WeakMap();
+
 /**
  * Add a translation result bubble
+ * @param {string} text
+ * @param {'zh-TW' | 'th-TH'} lang
+ * @param {string} [note]
+ * @param {'male' | 'female'} [gender]
+ * @param {Object} [options]
+ * @param {Array<{zh: string, th: string}>} [options.violations] - glossary terms missing from the translation
+ * @param {() => void} [options.onEnforce] - retranslate enforcing the violated terms
+ * @param {{ matched: string, score: number }} [options.offlineMatch] - result came from the offline phrasebook
+ * @param {boolean} [options.cached] - result came from the translation cache (no API call)
+ * @param {boolean} [options.autoPlay] - queue the translation for playback (default true; skipped when auto-play is off)
+ * @param {(translated: string) => boolean} [options.onStar] - toggle favorite with the shown (possibly corrected) translation; returns whether it is starred now
+ * @param {boolean} [options.starred] - already a favorite
+ * @param {boolean} [options.favorite] - played from a saved quick phrase (no API call)
+ * @param {boolean} [options.corrected] - result is the user's earlier correction (no API call)
+ * @param {(rating: 'up' | 'down') => void} [options.onFeedback] - 👍/👎 rating
+ * @param {(corrected: string) => void} [options.onCorrect] - the user edited the translation
+ * @returns {HTMLElement} the message element
  */
-export function addTranslationBubble(text, lang, note, gender = 'male') {
+export function addTranslationBubble(text, lang, note, gender = 'male', options = {}) {
+    const violations = options.violations || [];
     const chatArea = $('#chat-area');
     const labelText = lang === 'zh-TW' ? '中文翻譯' : 'คำแปลภาษาไทย';
 
     const div = document.createElement('div');
     div.className = 'chat-msg target';
     div.innerHTML = `
-    <div class="bubble-label">${labelText}</div>
+    <div class="bubble-label">${labelText}${options.cached ? ' <span class="cached-tag">⚡ 快取</span>' : ''}${options.favorite ? ' <span class="cached-tag">⭐ 常用語</span>' : ''}${options.corrected ? ' <span class="cached-tag corrected-tag">✏️ 已修正</span>' : ''}</div>
     <div class="bubble translation-bubble">
+      ${options.offlineMatch ? `
+      <div class="offline-match">📴 離線比對 · ${Math.round(options.offlineMatch.score * 100)}%
+        <span>「${escapeHtml(options.offlineMatch.matched)}」</span>
+      </div>` : ''}
       <div class="translation-text">${escapeHtml(text)}</div>
       ${note ? `<div style="font-size:12px;opacity:0.7;margin-top:6px;">${escapeHtml(note)}</div>` : ''}
+      ${violations.length ? `
+      <div class="term-warning">
+        <div>⚠️ 術語不符 / คำศัพท์ไม่ตรง</div>
+        <ul>${violations.map((t) => `<li>${escapeHtml(t.zh)} → ${escapeHtml(t.th)}</li>`).join('')}</ul>
+        ${options.onEnforce ? '<button class="action-btn enforce-btn">🔁 依術語重譯</button>' : ''}
+      </div>` : ''}
       <div class="bubble-actions">
         <button class="action-btn play-btn" data-text="${escapeAttr(text)}" data-lang="${lang}">🔊 播放</button>
+        <button class="action-btn slow-btn" aria-label="慢速重播">🐢 慢速</button>
         <button class="action-btn copy-btn">📋 複製</button>
+        ${options.onStar ? `<button class="action-btn star-btn${options.starred ? ' starred' : ''}">${options.starred ? '★ 已收藏' : '☆ 收藏'}</button>` : ''}
+        ${options.onCorrect ? '<button class="action-btn correct-btn">✏️ 修正</button>' : ''}
+        ${options.onFeedback ? `
+        <button class="action-btn feedback-btn" data-rating="up" aria-label="翻譯正確">👍</button>
+        <button class="action-btn feedback-btn" data-rating="down" aria-label="翻譯錯誤">👎</button>` : ''}
       </div>
     </div>
   `;
 
+    // Replaced when the user corrects the translation
+    let currentText = text;
+
+    // The bubble shows its place in the playback queue
+    const playbackItem = (slow = false) => ({
+        text: currentText,
+        lang,
+        gender,
+        slow,
+        onState: (state) => {
+            div.classList.toggle('queued', state === 'queued');
+            div.classList.toggle('playing', state === 'playing');
+        },
+    });
+    bubblePlayback.set(div, playbackItem);
+
     div.querySelector('.play-btn').addEventListener('click', () => {
-        speak(text, lang, gender);
+        playNow(playbackItem());
+    });
+
+    div.querySelector('.slow-btn').addEventListener('click', () => {
+        playNow(playbackItem(true));
+    });
+
+    div.querySelectorAll('.feedback-btn').forEach((btn) => {
+        btn.addEventListener('click', () => {
+            const rating = btn.dataset.rating;
+            div.querySelectorAll('.feedback-btn').forEach((b) => b.classList.toggle('active', b === btn));
+            options.onFeedback(rating);
+            showToast(rating === 'up' ? '感謝回饋 / ขอบคุณ' : '已記錄，可按「✏️ 修正」改正譯文');
+        });
     });
 
+    const correctBtn = div.querySelector('.correct-btn');
+    if (correctBtn) {
+        correctBtn.addEventListener('click', () => {
+            if (div.querySelector('.correction-editor')) return;
+            const textEl = div.querySelector('.translation-text');
+            const editor = document.createElement('div');
+            editor.className = 'correction-editor';
+            editor.innerHTML = `
+      <textarea class="text-input-field correction-input" rows="2"></textarea>
+      <div class="bubble-actions">
+        <button class="action-btn correction-save">✓ 儲存</button>
+        <button class="action-btn correction-cancel">取消</button>
+      </div>`;
+            const input = editor.querySelector('textarea');
+            input.value = currentText;
+            textEl.after(editor);
+            textEl.style.display = 'none';
+            input.focus();
+
+            const close = () => {
+                editor.remove();
+                textEl.style.display = '';
+            };
+            editor.querySelector('.correction-cancel').addEventListener('click', close);
+            editor.querySelector('.correction-save').addEventListener('click', () => {
+                const corrected = input.value.trim();
+                if (!corrected || corrected === currentText) {
+                    close();
+                    return;
+                }
+                currentText = corrected;
+                textEl.textContent = corrected;
+                close();
+                if (!div.querySelector('.corrected-tag')) {
+                    div.querySelector('.bubble-label').insertAdjacentHTML('beforeend', ' <span class="cached-tag corrected-tag">✏️ 已修正</span>');
+                }
+                options.onCorrect(corrected);
+            });
+        });
+    }
+
+    const starBtn = div.querySelector('.star-btn');
+    if (starBtn) {
+        starBtn.addEventListener('click', () => {
+            const starred = options.onStar(currentText);
+            starBtn.classList.toggle('starred', starred);
+            starBtn.textContent = starred ? '★ 已收藏' : '☆ 收藏';
+            showToast(starred ? '已加入常用語' : '已從常用語移除');
+        });
+    }
+
+    const enforceBtn = div.querySelector('.enforce-btn');
+    if (enforceBtn) {
+        enforceBtn.addEventListener('click', () => {
+            enforceBtn.disabled = true;
+            options.onEnforce();
+        });
+    }
+
     div.querySelector('.copy-btn').addEventListener('click', async () => {
         try {
-            await navigator.clipboard.writeText(text);
+            await navigator.clipboard.writeText(currentText);
             showToast('已複製到剪貼簿');
         } catch {
             showToast('複製失敗');
@@ -103,16 +237,166 @@ export function addTranslationBubble(text, lang, note, gender = 'male') {
     scrollToBottom();
 
     // Auto-play
-    speak(text, lang, gender);
+    if (options.autoPlay !== false) autoPlayBubble(div);
+    return div;
+}
+
+/**
+ * Queue a translation bubble for playback, if auto-play is on
+ * @param {HTMLElement} div - element returned by addTranslationBubble
+ */
+export function autoPlayBubble(div) {
+    const playbackItem = bubblePlayback.get(div);
+    if (playbackItem && isAutoPlayEnabled()) enqueue(playbackItem());
+}
+
+/**
+ * Show the back-translation check under a translation bubble.
+ * A low-confidence or failed check gets a button that plays the translation once confirmed.
+ * @param {HTMLElement} div - element returned by addTranslationBubble
+ * @param {{ pending?: boolean, backTranslation?: string, confidence?: number, low?: boolean, error?: string }} result
+ */
+export function showVerification(div, result) {
+    let box = div.querySelector('.verify-box');
+    if (!box) {
+        box = document.createElement('div');
+        box.className = 'verify-box';
+        div.querySelector('.bubble-actions').before(box);
+    }
+    const held = result.error || result.low;
+    box.classList.toggle('low', !!held);
+
+    if (result.pending) {
+        box.innerHTML = '🔁 回譯檢查中...';
+        return;
+    }
+    box.innerHTML = `
+      ${result.error
+        ? `<div>⚠️ 無法回譯檢查：${escapeHtml(result.error)}</div>`
+        : `<div class="verify-score">🔁 回譯 · 信心度 ${Math.round(result.confidence * 100)}%${result.low ? ' · ⚠️ 偏低' : ''}</div>
+      <div class="verify-text">${escapeHtml(result.backTranslation)}</div>`}
+      ${held ? '<button class="action-btn verify-confirm">✓ 確認無誤，播放</button>' : ''}`;
+
+    const confirmBtn = box.querySelector('.verify-confirm');
+    if (confirmBtn) {
+        confirmBtn.addEventListener('click', () => {
+            confirmBtn.remove();
+            div.querySelector('.play-btn').click();
+        });
+    }
+}
+
+/**
+ * Add a pending source bubble that shows live interim speech
+ * @param {'zh-TW' | 'th-TH'} lang
+ * @returns {HTMLElement} update it with setInterimText, remove it when the final text is known
+ */
+export function addInterimBubble(lang) {
+    removePlaceholder();
+    const div = document.createElement('div');
+    div.className = 'chat-msg source interim';
+    div.innerHTML = `
+    <div class="bubble-label">${lang === 'zh-TW' ? '聆聽中' : 'กำลังฟัง'}</div>
+    <div class="bubble">…</div>
+  `;
+    $('#chat-area').appendChild(div);
+    scrollToBottom();
+    return div;
+}
+
+/**
+ * Update the text of an interim bubble
+ */
+export function setInterimText(div, text) {
+    div.querySelector('.bubble').textContent = text || '…';
+    scrollToBottom();
+}
+
+/**
+ * Let the speaker fix the transcript before it is translated
+ * @param {string[]} alternatives - recognized transcripts, best first
+ * @param {'zh-TW' | 'th-TH'} lang
+ * @returns {Promise<string | null>} the text to translate, or null if cancelled
+ */
+export function addReviewBubble(alternatives, lang) {
+    removePlaceholder();
+    return new Promise((resolve) => {
+        const zh = lang === 'zh-TW';
+        const div = document.createElement('div');
+        div.className = 'chat-msg source review-msg';
+        div.innerHTML = `
+      <div class="bubble-label">${zh ? '確認辨識結果' : 'ตรวจสอบข้อความ'}</div>
+      <div class="bubble">
+        <textarea class="text-input-field review-input" rows="2"></textarea>
+        ${alternatives.length > 1 ? `
+        <div class="review-alternatives">
+          ${alternatives.map((alt) => `<button class="review-alt" data-text="${escapeAttr(alt)}">${escapeHtml(alt)}</button>`).join('')}
+        </div>` : ''}
+        <div class="bubble-actions">
+          <button class="action-btn review-send">${zh ? '➤ 翻譯' : '➤ แปล'}</button>
+          <button class="action-btn review-cancel">${zh ? '取消' : 'ยกเลิก'}</button>
+        </div>
+      </div>
+    `;
+        const input = div.querySelector('textarea');
+        input.value = alternatives[0] || '';
+
+        div.querySelectorAll('.review-alt').forEach((btn) => {
+            btn.addEventListener('click', () => {
+                input.value = btn.dataset.text;
+                input.focus();
+            });
+        });
+
+        div.querySelector('.review-send').addEventListener('click', () => {
+            const text = input.value.trim();
+            if (!text) return;
+            div.remove();
+            resolve(text);
+        });
+        div.querySelector('.review-cancel').addEventListener('click', () => {
+            div.remove();
+            resolve(null);
+        });
+
+        $('#chat-area').appendChild(div);
+        scrollToBottom();
+        input.focus();
+    });
+}
+
+/**
+ * Show a translation full screen in large type (used when no voice can speak it)
+ * @param {string} text
+ * @param {'zh-TW' | 'th-TH'} lang
+ * @returns {Promise<void>} resolves when the overlay is tapped away
+ */
+export function showLargeText(text, lang) {
+    return new Promise((resolve) => {
+        const overlay = document.createElement('div');
+        overlay.className = 'large-text-overlay';
+        overlay.lang = lang;
+        overlay.innerHTML = `
+      <div class="large-text">${escapeHtml(text)}</div>
+      <div class="large-text-hint">${lang === 'th-TH' ? '此裝置沒有泰文語音 · แตะเพื่อปิด' : '此裝置沒有中文語音 · 點一下關閉'}</div>
+    `;
+        overlay.addEventListener('click', () => {
+            overlay.remove();
+            resolve();
+        });
+        document.body.appendChild(overlay);
+    });
 }
 
 /**
  * Add clarification question bubble with options
- * @returns {Promise<string>} selected option value
+ * @param {Object} data - clarify result from Gemini
+ * @param {HTMLElement} [chatArea] - container to append to (defaults to #chat-area)
+ * @param {AbortSignal} [signal] - abort to give up waiting for a choice
+ * @returns {Promise<string | null>} selected option value, or null when aborted
  */
-export function addClarifyBubble(data) {
+export function addClarifyBubble(data, chatArea = $('#chat-area'), signal) {
     return new Promise((resolve) => {
-        const chatArea = $('#chat-area');
 
         const div = document.createElement('div');
         div.className = 'chat-msg clarify-msg';
@@ -148,11 +432,29 @@ export function addClarifyBubble(data) {
             });
         });
 
+        signal?.addEventListener('abort', () => {
+            div.querySelectorAll('.clarify-option').forEach((b) => { b.disabled = true; });
+            resolve(null);
+        });
+
         chatArea.appendChild(div);
-        scrollToBottom();
+        scrollToBottom(chatArea);
     });
 }
 
+/**
+ * Add a divider marking the start of a new topic (conversation context reset)
+ */
+export function addTopicDivider() {
+    removePlaceholder();
+    const chatArea = $('#chat-area');
+    const div = document.createElement('div');
+    div.className = 'topic-divider';
+    div.textContent = '新話題 · หัวข้อใหม่';
+    chatArea.appendChild(div);
+    scrollToBottom();
+}
+
 /**
  * Show loading indicator
  */
@@ -211,11 +513,26 @@ export function showToast(message, duration = 3000) {
     setTimeout(() => toast.classList.remove('show'), duration);
 }
 
+/**
+ * Trigger a browser download of generated text content
+ * @param {string} content
+ * @param {string} filename
+ * @param {string} type - MIME type
+ */
+export function downloadFile(content, filename, type) {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+}
+
 /**
  * Scroll chat to bottom
  */
-function scrollToBottom() {
-    const chatArea = $('#chat-area');
+export function scrollToBottom(chatArea = $('#chat-area')) {
     requestAnimationFrame(() => {
         chatArea.scrollTop = chatArea.scrollHeight;
     });
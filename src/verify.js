@@ -0,0 +1,75 @@
+/**
+ * Back-translation check - translate the result back into the source language
+ * and score how close it comes to what was said.
+ *
+ * The score is a character-bigram Dice coefficient on search-normalized text
+ * (Traditional/Simplified and Thai marks folded), so rewording of particles
+ * costs little but a changed object or verb drops it noticeably.
+ */
+
+import { backTranslate } from './provider.js';
+import { normalizeForSearch } from './search.js';
+
+const VERIFY_KEY = 'verify_translation';
+
+// Below this the translation is held until the speaker confirms it
+export const LOW_CONFIDENCE = 0.5;
+
+/**
+ * Whether verification mode is on
+ */
+export function isVerifyEnabled() {
+    return localStorage.getItem(VERIFY_KEY) === '1';
+}
+
+export function setVerifyEnabled(enabled) {
+    localStorage.setItem(VERIFY_KEY, enabled ? '1' : '0');
+}
+
+function bigrams(text) {
+    const chars = [...normalizeForSearch(text).replace(/[\s\p{P}\p{S}]/gu, '')];
+    if (chars.length < 2) return chars;
+    return chars.slice(1).map((ch, i) => chars[i] + ch);
+}
+
+/**
+ * Similarity of two texts in the same language, 0..1
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export function similarity(a, b) {
+    const x = bigrams(a);
+    const y = bigrams(b);
+    if (x.length === 0 || y.length === 0) return 0;
+    const counts = new Map();
+    x.forEach((g) => counts.set(g, (counts.get(g) || 0) + 1));
+    let shared = 0;
+    for (const g of y) {
+        const n = counts.get(g);
+        if (n) {
+            shared++;
+            counts.set(g, n - 1);
+        }
+    }
+    return (2 * shared) / (x.length + y.length);
+}
+
+/**
+ * @typedef {Object} Verification
+ * @property {string} backTranslation
+ * @property {number} confidence - 0..1
+ * @property {boolean} low - below LOW_CONFIDENCE
+ */
+
+/**
+ * Back-translate a result and score it against the original
+ * @param {string} original - what the speaker said (fromLang)
+ * @param {string} translated - the translation to check (toLang)
+ * @returns {Promise<Verification>}
+ */
+export async function verifyTranslation(original, translated, fromLang, toLang, gender) {
+    const backTranslation = await backTranslate(translated, fromLang, toLang, gender);
+    const confidence = similarity(original, backTranslation);
+    return { backTranslation, confidence, low: confidence < LOW_CONFIDENCE };
+}
@@ -0,0 +1,137 @@
+/**
+ * TTS voice settings - pinned voice per language and gender, plus rate,
+ * pitch and volume per language, stored in localStorage.
+ *
+ * Without a pinned voice the old name heuristic is used; when it finds no
+ * voice of the requested gender (most Android phones) the pitch is shifted
+ * instead, so the gender choice is still audible.
+ */
+
+const VOICE_SETTINGS_KEY = 'tts_settings';
+
+const GENDER_KEYWORDS = {
+    female: ['female', 'woman', 'girl', 'หญิง', '女'],
+    male: ['male', 'man', 'boy', 'ชาย', '男'],
+};
+
+// Pitch shift used when no voice of the requested gender exists
+const GENDER_PITCH = { female: 1.25, male: 0.85 };
+
+export const SAMPLE_TEXT = {
+    'zh-TW': '請戴好安全帽，注意安全。',
+    'th-TH': 'กรุณาสวมหมวกนิรภัย ระวังความปลอดภัยด้วยครับ',
+};
+
+/**
+ * @typedef {Object} VoiceSettings
+ * @property {number} rate
+ * @property {number} pitch
+ * @property {number} volume
+ * @property {{ male?: string, female?: string }} pinned - voiceURI per gender
+ */
+
+const DEFAULTS = { rate: 0.9, pitch: 1, volume: 1, pinned: {} };
+
+function load() {
+    try {
+        return JSON.parse(localStorage.getItem(VOICE_SETTINGS_KEY)) || {};
+    } catch {
+        return {};
+    }
+}
+
+/**
+ * Settings for one language
+ * @param {'zh-TW' | 'th-TH'} lang
+ * @returns {VoiceSettings}
+ */
+export function getVoiceSettings(lang) {
+    const saved = load()[lang] || {};
+    return { ...DEFAULTS, ...saved, pinned: { ...saved.pinned } };
+}
+
+/**
+ * Update settings for one language
+ * @param {'zh-TW' | 'th-TH'} lang
+ * @param {Partial<VoiceSettings>} changes
+ */
+export function setVoiceSettings(lang, changes) {
+    const all = load();
+    all[lang] = { ...getVoiceSettings(lang), ...changes };
+    localStorage.setItem(VOICE_SETTINGS_KEY, JSON.stringify(all));
+}
+
+/**
+ * Pin a voice for a language and gender (null = automatic)
+ */
+export function pinVoice(lang, gender, voiceURI) {
+    const { pinned } = getVoiceSettings(lang);
+    if (voiceURI) pinned[gender] = voiceURI;
+    else delete pinned[gender];
+    setVoiceSettings(lang, { pinned });
+}
+
+/**
+ * What to do when no voice is installed for a language
+ * @returns {'large-text' | 'try'} show the text full screen, or try to speak anyway
+ */
+export function getNoVoiceFallback() {
+    return load().fallback || 'large-text';
+}
+
+export function setNoVoiceFallback(fallback) {
+    const all = load();
+    all.fallback = fallback;
+    localStorage.setItem(VOICE_SETTINGS_KEY, JSON.stringify(all));
+}
+
+/**
+ * Installed voices for a language (matching the language prefix, e.g. any zh-*)
+ * @param {'zh-TW' | 'th-TH'} lang
+ * @returns {SpeechSynthesisVoice[]}
+ */
+export function listVoices(lang) {
+    if (!window.speechSynthesis) return [];
+    const prefix = lang.split('-')[0];
+    return window.speechSynthesis.getVoices()
+        .filter((v) => v.lang === lang || v.lang.replace('_', '-').startsWith(prefix))
+        // Exact locale first (zh-TW before zh-CN)
+        .sort((a, b) => (b.lang === lang) - (a.lang === lang));
+}
+
+/**
+ * Whether a voice for the language is known to be missing.
+ * False while the voice list hasn't loaded yet, so we don't warn too early.
+ */
+export function isVoiceMissing(lang) {
+    if (!window.speechSynthesis) return true;
+    const all = window.speechSynthesis.getVoices();
+    return all.length > 0 && listVoices(lang).length === 0;
+}
+
+/**
+ * Resolve the voice and parameters to speak with
+ * @param {'zh-TW' | 'th-TH'} lang
+ * @param {'male' | 'female'} gender
+ * @returns {{ voice: SpeechSynthesisVoice | null, rate: number, pitch: number, volume: number, how: 'pinned' | 'name' | 'pitch' | 'none' }}
+ */
+export function resolveVoice(lang, gender) {
+    const settings = getVoiceSettings(lang);
+    const voices = listVoices(lang);
+    const base = { rate: settings.rate, pitch: settings.pitch, volume: settings.volume };
+
+    const pinned = voices.find((v) => v.voiceURI === settings.pinned[gender]);
+    if (pinned) return { ...base, voice: pinned, how: 'pinned' };
+
+    const keywords = GENDER_KEYWORDS[gender] || GENDER_KEYWORDS.male;
+    // "female" contains "male": exclude the other gender's words when matching male
+    const other = gender === 'female' ? [] : GENDER_KEYWORDS.female;
+    const byName = voices.find((v) => {
+        const name = v.name.toLowerCase();
+        return keywords.some((kw) => name.includes(kw)) && !other.some((kw) => name.includes(kw));
+    });
+    if (byName) return { ...base, voice: byName, how: 'name' };
+
+    if (voices.length === 0) return { ...base, voice: null, how: 'none' };
+    return { ...base, voice: voices[0], pitch: Math.min(2, settings.pitch * GENDER_PITCH[gender]), how: 'pitch' };
+}
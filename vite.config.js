@@ -7,6 +7,10 @@ export default defineConfig({
     VitePWA({
       registerType: 'autoUpdate',
       includeAssets: ['favicon.svg'],
+      workbox: {
+        // Background sync handler for the Google Sheets outbox
+        importScripts: ['sw-outbox.js'],
+      },
       manifest: {
         name: '中泰翻譯',
         short_name: '中泰翻譯',